@@ -26,20 +26,39 @@ export default apostrophe({
     // Make sure to set the `APOS_BASE_URL` environment variable to the base
     // URL of your Apostrophe site
     '@apostrophecms/seo': {},
+    sitemap: {},
+    'page-cache': {},
+    'static-export': {},
+    webhook: {},
+    'webhook-delivery': {},
+    'preview-link': {},
+    translation: {},
+    'machine-translation': {},
+    form: {},
+    'form-submission': {},
+    subscriber: {},
+
+    // field types
+    'icon-field': {},
 
     // pieces
     article: {},
     author: {},
+    category: {},
+    tag: {},
 
     // pages
     'default-page': {},
     'article-page': {},
+    'author-page': {},
 
     // widgets
     'accordion-widget': {},
     'card-widget': {},
     'hero-widget': {},
     'link-widget': {},
-    'slideshow-widget': {}
+    'slideshow-widget': {},
+    'form-widget': {},
+    'newsletter-widget': {}
   }
 });
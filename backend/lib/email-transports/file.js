@@ -0,0 +1,30 @@
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import nodemailer from 'nodemailer';
+
+// An email transport for development: each email is written to disk as an
+// `.eml` file instead of being sent, so it can be opened in a mail client
+// and its links followed. Files go to the `dir` option, relative to the
+// backend, `data/emails` by default.
+//
+// See `modules/@apostrophecms/email/index.js` for the transport contract.
+export default {
+  name: 'file',
+  create(options, apos) {
+    const dir = path.resolve(apos.rootDir, options.dir || 'data/emails');
+    const composer = nodemailer.createTransport({
+      streamTransport: true,
+      buffer: true
+    });
+    return {
+      async sendMail(message) {
+        const info = await composer.sendMail(message);
+        const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${apos.util.generateId()}.eml`;
+        await mkdir(dir, { recursive: true });
+        await writeFile(path.join(dir, name), info.message);
+        apos.util.log(`Email "${message.subject}" to ${message.to} written to ${path.join(dir, name)}`);
+        return info;
+      }
+    };
+  }
+};
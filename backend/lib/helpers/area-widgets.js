@@ -21,7 +21,9 @@ export const widgetGroups = {
       hero: {},
       accordion: {},
       card: {},
-      link: {}
+      link: {},
+      form: {},
+      newsletter: {}
     }
   }
 };
@@ -18,10 +18,19 @@ const colorOptionsHelper = {
         label: 'Dark',
         value: 'dark'
       },
+      // Brand colors, set in the theme settings
       {
         label: 'Primary',
         value: 'primary'
       },
+      {
+        label: 'Secondary',
+        value: 'secondary'
+      },
+      {
+        label: 'Accent',
+        value: 'accent'
+      },
       {
         label: 'Link',
         value: 'link'
@@ -0,0 +1,23 @@
+/**
+ * Quote a CSV cell when needed. Cells starting like a spreadsheet formula
+ * are prefixed with a quote, so answers typed by visitors can't run as
+ * formulas when the file is opened
+ * @param {*} value - Cell value, coerced to a string
+ * @returns {string} The CSV cell
+ */
+export function escapeCsv(value) {
+  let text = String(value ?? '');
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV file, with CRLF line endings
+ * @param {Array<Array>} rows - Rows of cells, starting with the header row
+ * @returns {string} The CSV content
+ */
+export function toCsv(rows) {
+  return rows.map(row => row.map(escapeCsv).join(',')).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,32 @@
+/**
+ * Find a draft the user of `req` can edit, for the routes working on the
+ * draft of a page or piece, like share previews and translation reviews
+ * @param {Object} apos - The Apostrophe instance
+ * @param {Object} req - The request
+ * @param {string} _id - `_id` of the draft, like `<aposDocId>:en:draft`
+ * @returns {Promise<Object>} The draft, loaded in its locale. Throws a
+ *  `forbidden` error without a user, `invalid` if `_id` is not a draft ID
+ *  and `notfound` if there is no such draft the user can edit
+ */
+export async function findEditableDraft(apos, req, _id) {
+  if (!req.user) {
+    throw apos.error('forbidden');
+  }
+  _id = apos.launder.id(_id);
+  const locale = _id?.split(':')[1];
+  if (!_id?.endsWith(':draft') || !apos.i18n.locales[locale]) {
+    throw apos.error('invalid');
+  }
+  const existing = await apos.doc.db.findOne({ _id }, {
+    projection: { type: 1 }
+  });
+  const manager = existing && apos.doc.getManager(existing.type);
+  const draft = manager && await manager.find(req.clone({
+    locale,
+    mode: 'draft'
+  }), { _id }).permission('edit').toObject();
+  if (!draft) {
+    throw apos.error('notfound');
+  }
+  return draft;
+}
@@ -0,0 +1,164 @@
+// Serializers for the article feeds. Each one takes the same normalized
+// feed object, built by the `article-page` module:
+//
+// {
+//   title, description, language, homeUrl, feedUrls: { rss, atom, json },
+//   updated: Date,
+//   items: [ {
+//     id, title, url, summary, author, published: Date, updated: Date,
+//     categories: [ 'News' ], image: { url, type, length? }
+//   } ]
+// }
+
+import { escapeXml } from './xml.js';
+
+export const feedFormats = {
+  rss: {
+    contentType: 'application/rss+xml; charset=utf-8',
+    render: renderRss
+  },
+  atom: {
+    contentType: 'application/atom+xml; charset=utf-8',
+    render: renderAtom
+  },
+  json: {
+    contentType: 'application/feed+json; charset=utf-8',
+    render: renderJsonFeed
+  }
+};
+
+const imageMimeTypes = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  svg: 'image/svg+xml'
+};
+
+/**
+ * Get the MIME type for an image file extension
+ * @param {string} extension - File extension without the dot
+ * @returns {string} The MIME type, `application/octet-stream` if unknown
+ */
+export function getImageMimeType(extension) {
+  return imageMimeTypes[(extension || '').toLowerCase()] ||
+    'application/octet-stream';
+}
+
+function element(name, value, attributes = '') {
+  if (value === undefined || value === null || value === '') {
+    return '';
+  }
+  return `<${name}${attributes}>${escapeXml(value)}</${name}>`;
+}
+
+/**
+ * Render a feed as RSS 2.0
+ * @param {Object} feed - Normalized feed object
+ * @returns {string} The RSS document
+ */
+export function renderRss(feed) {
+  const items = feed.items.map(item => [
+    '<item>',
+    element('title', item.title),
+    element('link', item.url),
+    element('guid', item.id, ' isPermaLink="false"'),
+    element('pubDate', item.published?.toUTCString()),
+    element('dc:creator', item.author),
+    ...item.categories.map(category => element('category', category)),
+    element('description', item.summary),
+    // RSS requires the length of enclosures
+    item.image?.length
+      ? `<enclosure url="${escapeXml(item.image.url)}" length="${item.image.length}" type="${escapeXml(item.image.type)}"/>`
+      : '',
+    '</item>'
+  ].join(''));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    '<channel>',
+    element('title', feed.title),
+    element('link', feed.homeUrl),
+    element('description', feed.description || feed.title),
+    element('language', feed.language),
+    element('lastBuildDate', feed.updated.toUTCString()),
+    `<atom:link href="${escapeXml(feed.feedUrls.rss)}" rel="self" type="application/rss+xml"/>`,
+    ...items,
+    '</channel>',
+    '</rss>'
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Render a feed as Atom 1.0
+ * @param {Object} feed - Normalized feed object
+ * @returns {string} The Atom document
+ */
+export function renderAtom(feed) {
+  const entries = feed.items.map(item => [
+    '<entry>',
+    element('id', item.id),
+    element('title', item.title),
+    `<link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>`,
+    element('published', item.published?.toISOString()),
+    element('updated', (item.updated || item.published)?.toISOString()),
+    item.author ? `<author>${element('name', item.author)}</author>` : '',
+    ...item.categories.map(category => `<category term="${escapeXml(category)}"/>`),
+    element('summary', item.summary),
+    item.image
+      ? `<link rel="enclosure" href="${escapeXml(item.image.url)}" type="${escapeXml(item.image.type)}"${item.image.length ? ` length="${item.image.length}"` : ''}/>`
+      : '',
+    '</entry>'
+  ].join(''));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<feed xmlns="http://www.w3.org/2005/Atom"${feed.language ? ` xml:lang="${escapeXml(feed.language)}"` : ''}>`,
+    element('id', feed.homeUrl),
+    element('title', feed.title),
+    element('subtitle', feed.description),
+    element('updated', feed.updated.toISOString()),
+    `<link rel="alternate" type="text/html" href="${escapeXml(feed.homeUrl)}"/>`,
+    `<link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrls.atom)}"/>`,
+    ...entries,
+    '</feed>'
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Render a feed as JSON Feed 1.1
+ * @param {Object} feed - Normalized feed object
+ * @returns {string} The JSON Feed document
+ */
+export function renderJsonFeed(feed) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.feedUrls.json,
+    description: feed.description || undefined,
+    language: feed.language,
+    items: feed.items.map(item => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      summary: item.summary || undefined,
+      content_text: item.summary || item.title,
+      image: item.image?.url,
+      date_published: item.published?.toISOString(),
+      date_modified: (item.updated || item.published)?.toISOString(),
+      authors: item.author ? [ { name: item.author } ] : undefined,
+      tags: item.categories.length ? item.categories : undefined,
+      attachments: item.image
+        ? [ {
+          url: item.image.url,
+          mime_type: item.image.type,
+          size_in_bytes: item.image.length || undefined
+        } ]
+        : undefined
+    }))
+  }, null, 2);
+}
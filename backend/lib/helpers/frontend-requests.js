@@ -0,0 +1,30 @@
+import { verifyToken } from './signed-tokens.js';
+
+// Header of the signature sent by the routes of the frontend, see
+// `frontend/src/lib/backend-requests.js`
+export const FRONTEND_SIGNATURE_HEADER = 'apollo-frontend-signature';
+
+/**
+ * Express middleware for the routes only the frontend server may call,
+ * like form submissions. The external front key is not enough: the
+ * frontend proxies `/api/v1` requests of browsers to the backend with it.
+ * The frontend routes also send a short-lived token signed with the key,
+ * which browsers can't make. Place it before any middleware parsing the
+ * body, so uploads are not read for nothing
+ * @param {Object} apos - The Apostrophe instance
+ * @returns {Function} The middleware, responding with a `forbidden` error
+ *  to requests without a valid signature
+ */
+export function requireFrontendRequest(apos) {
+  return (req, res, next) => {
+    const key = apos.externalFrontKey;
+    const payload = key && verifyToken(req.headers[FRONTEND_SIGNATURE_HEADER], key);
+    if (payload?.purpose !== 'frontend' || !payload.exp) {
+      return res.status(403).send({
+        name: 'forbidden',
+        message: 'Only the frontend can call this route.'
+      });
+    }
+    return next();
+  };
+}
@@ -0,0 +1,75 @@
+import {
+  createHmac,
+  randomBytes,
+  timingSafeEqual
+} from 'node:crypto';
+
+/**
+ * Sign a payload with HMAC-SHA256, for links and headers that must not be
+ * forged
+ * @param {Object} payload - JSON data, with an optional `exp` timestamp in
+ *  milliseconds after which the token is rejected
+ * @param {string} secret - Signing secret
+ * @returns {string} The token, `<base64url JSON>.<base64url signature>`
+ */
+export function signToken(payload, secret) {
+  const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${data}.${getSignature(data, secret)}`;
+}
+
+/**
+ * Check a token made by `signToken`
+ * @param {*} token - The token
+ * @param {string} secret - Signing secret
+ * @returns {Object|null} The payload, or `null` if the token is not a
+ *  string, its signature is wrong or it has expired
+ */
+export function verifyToken(token, secret) {
+  if (typeof token !== 'string') {
+    return null;
+  }
+  const [ data, signature = '' ] = token.split('.');
+  const expected = getSignature(data, secret);
+  if (
+    signature.length !== expected.length ||
+    !timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  ) {
+    return null;
+  }
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(data, 'base64url').toString());
+  } catch (e) {
+    return null;
+  }
+  if (payload?.exp && !(payload.exp > Date.now())) {
+    return null;
+  }
+  return payload;
+}
+
+/**
+ * Get the signing secret of a module: `envSecret` when it is set, otherwise
+ * one generated on first use and kept in the Apostrophe cache, so that
+ * tokens survive restarts and work across processes
+ * @param {Object} apos - The Apostrophe instance
+ * @param {string} namespace - Cache namespace of the secret, usually the
+ *  module name
+ * @param {string} [envSecret] - Secret set in the environment
+ * @returns {Promise<string>} The secret
+ */
+export async function getSecret(apos, namespace, envSecret) {
+  if (envSecret) {
+    return envSecret;
+  }
+  let secret = await apos.cache.get(namespace, 'secret');
+  if (!secret) {
+    secret = randomBytes(32).toString('hex');
+    await apos.cache.set(namespace, 'secret', secret);
+  }
+  return secret;
+}
+
+function getSignature(data, secret) {
+  return createHmac('sha256', secret).update(data).digest('base64url');
+}
@@ -0,0 +1,18 @@
+/**
+ * Methods shared by the category and tag piece types, for their
+ * `extendMethods`
+ * @returns {Object} The method extensions
+ */
+export function extendTaxonomyMethods() {
+  return {
+    // Include the color and description in the choices of the article
+    // filters
+    getRelationshipQueryBuilderChoicesProjection(_super, query) {
+      return {
+        ..._super(query),
+        color: 1,
+        description: 1
+      };
+    }
+  };
+}
@@ -0,0 +1,114 @@
+import { escapeXml } from './xml.js';
+
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\''
+};
+
+/**
+ * Decode the entities and CDATA sections of XML text
+ * @param {string} value - Element content or attribute value
+ * @returns {string} The decoded text
+ */
+export function decodeXml(value) {
+  return String(value ?? '').replace(
+    /<!\[CDATA\[([\s\S]*?)\]\]>|&(#x[0-9a-f]+|#\d+|[a-z]+);/gi,
+    (match, cdata, entity) => {
+      if (cdata !== undefined) {
+        return cdata;
+      }
+      if (entity[0] === '#') {
+        return String.fromCodePoint(entity[1].toLowerCase() === 'x'
+          ? parseInt(entity.slice(2), 16)
+          : parseInt(entity.slice(1), 10));
+      }
+      return ENTITIES[entity.toLowerCase()] ?? match;
+    }
+  );
+}
+
+/**
+ * Build an XLIFF 1.2 file with one `<file>` per document, whose `original`
+ * attribute is the document's `aposDocId`. Rich text units are flagged
+ * with `datatype="html"` and their markup is escaped
+ * @param {Object} data - Translation export
+ * @param {string} data.sourceLocale - Locale translated from
+ * @param {string} data.targetLocale - Locale translated to
+ * @param {Array<Object>} data.documents - Documents with their `units`,
+ *  each with an `id`, `source`, optional `target` and `html` flag
+ * @returns {string} The XLIFF document
+ */
+export function toXliff({
+  sourceLocale, targetLocale, documents
+}) {
+  const files = documents.map(doc => [
+    `  <file original="${escapeXml(doc.aposDocId)}" source-language="${escapeXml(sourceLocale)}" target-language="${escapeXml(targetLocale)}" datatype="plaintext">`,
+    '    <header>',
+    `      <note>${escapeXml(`${doc.type}: ${doc.title}`)}</note>`,
+    '    </header>',
+    '    <body>',
+    ...doc.units.map(unit => [
+      `      <trans-unit id="${escapeXml(unit.id)}"${unit.html ? ' datatype="html"' : ''}>`,
+      `        <source>${escapeXml(unit.source)}</source>`,
+      ...unit.target
+        ? [ `        <target state="needs-review-translation">${escapeXml(unit.target)}</target>` ]
+        : [],
+      '      </trans-unit>'
+    ].join('\n')),
+    '    </body>',
+    '  </file>'
+  ].join('\n'));
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">',
+    ...files,
+    '</xliff>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Read the translations of an XLIFF 1.2 file made by `toXliff`. Units
+ * without a `<target>` have a `null` target
+ * @param {string} xml - The XLIFF document
+ * @returns {{sourceLocale: string, targetLocale: string, documents: Array<Object>}}
+ *  The languages of the first `<file>` and, for each file, its
+ *  `aposDocId` and `units` with their `id` and `target`
+ */
+export function parseXliff(xml) {
+  let sourceLocale = null;
+  let targetLocale = null;
+  const documents = [];
+  for (const [ , fileAttributes, body ] of xml.matchAll(/<file\b([^>]*)>([\s\S]*?)<\/file>/g)) {
+    const attributes = parseAttributes(fileAttributes);
+    sourceLocale ||= attributes['source-language'];
+    targetLocale ||= attributes['target-language'];
+    const units = [];
+    for (const [ , unitAttributes, unit ] of body.matchAll(/<trans-unit\b([^>]*)>([\s\S]*?)<\/trans-unit>/g)) {
+      const target = unit.match(/<target\b[^>]*>([\s\S]*?)<\/target>/);
+      units.push({
+        id: parseAttributes(unitAttributes).id,
+        target: target ? decodeXml(target[1]) : null
+      });
+    }
+    documents.push({
+      aposDocId: attributes.original,
+      units
+    });
+  }
+  return {
+    sourceLocale,
+    targetLocale,
+    documents
+  };
+}
+
+function parseAttributes(source) {
+  return Object.fromEntries(
+    [ ...source.matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g) ]
+      .map(([ , name, double, single ]) => [ name, decodeXml(double ?? single) ])
+  );
+}
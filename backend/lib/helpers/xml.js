@@ -0,0 +1,13 @@
+/**
+ * Escape text for use in XML element content and attribute values
+ * @param {*} value - Value to escape, coerced to a string
+ * @returns {string} The escaped string
+ */
+export function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
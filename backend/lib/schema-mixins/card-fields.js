@@ -122,6 +122,11 @@ export const cardFields = {
     type: 'string',
     label: 'Subtitle'
   },
+  titleIcon: {
+    type: 'icon',
+    label: 'Title Icon',
+    help: 'Shown before the title'
+  },
   titleSize: {
     type: 'select',
     label: 'Title Size',
@@ -329,7 +334,15 @@ export const cardGroups = {
   },
   content: {
     label: 'Content',
-    fields: [ 'cardTitle', 'subtitle', 'headerAlignment', 'titleSize', 'content', 'contentAlignment' ]
+    fields: [
+      'cardTitle',
+      'subtitle',
+      'titleIcon',
+      'headerAlignment',
+      'titleSize',
+      'content',
+      'contentAlignment'
+    ]
   },
   styling: {
     label: 'Styling',
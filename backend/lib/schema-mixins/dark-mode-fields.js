@@ -0,0 +1,118 @@
+import colorOptionsHelper from '../helpers/color-options.js';
+
+// Dark color scheme settings. The frontend applies the dark colors while
+// the visitor's system prefers a dark scheme or the header toggle picked it
+// (see `frontend/src/lib/theme.js` and `frontend/src/scripts/color-scheme.js`)
+
+const colorChoices = colorOptionsHelper.getColorOptions().filter(color =>
+  color.value !== 'transparent'
+);
+
+export default {
+  defaultScheme: {
+    type: 'select',
+    label: 'Default Color Scheme',
+    help: 'Scheme shown until the visitor picks one with the header toggle',
+    def: 'system',
+    choices: [
+      {
+        label: 'Follow System Setting',
+        value: 'system'
+      },
+      {
+        label: 'Light',
+        value: 'light'
+      },
+      {
+        label: 'Dark',
+        value: 'dark'
+      }
+    ]
+  },
+  showToggle: {
+    type: 'boolean',
+    label: 'Show Dark Mode Toggle',
+    help: 'Lets visitors switch between light and dark. Their choice is remembered in their browser',
+    def: true
+  },
+  headerBackgroundColor: {
+    type: 'select',
+    label: 'Header Background Color',
+    choices: colorOptionsHelper.getColorOptions(),
+    def: 'black-ter'
+  },
+  headerTextColor: {
+    type: 'select',
+    label: 'Header Text Color',
+    choices: colorChoices,
+    def: 'white-ter'
+  },
+  footerBackgroundColor: {
+    type: 'select',
+    label: 'Footer Background Color',
+    choices: colorOptionsHelper.getColorOptions(),
+    def: 'black-bis'
+  },
+  footerTextColor: {
+    type: 'select',
+    label: 'Footer Text Color',
+    choices: colorChoices,
+    def: 'white-ter'
+  },
+  footerLinkColor: {
+    type: 'select',
+    label: 'Footer Link Color',
+    choices: colorChoices,
+    def: 'grey-lighter'
+  },
+  widgetBackgrounds: {
+    type: 'array',
+    label: 'Widget Background Colors',
+    help: 'Replaces a widget background color in the dark scheme, for example white with black',
+    titleField: 'color',
+    fields: {
+      add: {
+        color: {
+          type: 'select',
+          label: 'Light Scheme Color',
+          required: true,
+          choices: colorChoices
+        },
+        darkColor: {
+          type: 'select',
+          label: 'Dark Scheme Color',
+          required: true,
+          choices: colorOptionsHelper.getColorOptions()
+        },
+        textColor: {
+          type: 'select',
+          label: 'Dark Scheme Text Color',
+          help: 'Text color on the replaced background',
+          choices: colorChoices
+        }
+      }
+    },
+    def: [
+      {
+        color: 'white',
+        darkColor: 'black-ter',
+        textColor: 'white-ter'
+      },
+      {
+        color: 'white-bis',
+        darkColor: 'black-bis',
+        textColor: 'white-ter'
+      },
+      {
+        color: 'white-ter',
+        darkColor: 'black-bis',
+        textColor: 'white-ter'
+      },
+      {
+        color: 'light',
+        darkColor: 'dark',
+        textColor: 'light'
+      }
+    ]
+  }
+};
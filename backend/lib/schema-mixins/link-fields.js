@@ -158,9 +158,8 @@ export default {
     def: false
   },
   icon: {
-    label: 'Icon Name',
-    type: 'string',
-    htmlHelp: 'Enter the name of the icon you want to use. For example, <a href="https://fontawesome.com/search?q=arrow&o=r" target="_blank">"arrow-right"</a>.',
+    label: 'Icon',
+    type: 'icon',
     if: {
       linkStyle: 'button',
       addIcon: true
@@ -0,0 +1,114 @@
+// Fields for the items of the navigation builder in global settings.
+// Top-level items can open a dropdown, groups inside a dropdown become
+// its columns, and the links inside a group are the last level.
+const MAX_LEVEL = 3;
+
+const groupLabels = {
+  1: 'Dropdown Group',
+  2: 'Column Group'
+};
+
+function getMenuItemFields(level = 1) {
+  const choices = [
+    {
+      label: 'Page',
+      value: 'page'
+    },
+    {
+      label: 'URL',
+      value: 'url'
+    }
+  ];
+  if (level < MAX_LEVEL) {
+    choices.push({
+      label: groupLabels[level],
+      value: 'group'
+    });
+  }
+
+  const fields = {
+    itemType: {
+      label: 'Item Type',
+      type: 'select',
+      def: 'page',
+      required: true,
+      choices
+    },
+    label: {
+      label: 'Label',
+      type: 'string',
+      help: 'Page items use the page title when left blank',
+      requiredIf: {
+        $or: [
+          { itemType: 'url' },
+          { itemType: 'group' }
+        ]
+      }
+    },
+    _page: {
+      label: 'Page',
+      type: 'relationship',
+      withType: '@apostrophecms/page',
+      max: 1,
+      required: true,
+      builders: {
+        project: {
+          title: 1,
+          _url: 1
+        }
+      },
+      if: {
+        itemType: 'page'
+      }
+    },
+    url: {
+      label: 'URL',
+      type: 'url',
+      required: true,
+      if: {
+        itemType: 'url'
+      }
+    },
+    newTab: {
+      label: 'Open in New Tab',
+      type: 'boolean',
+      def: false,
+      if: {
+        itemType: 'url'
+      }
+    },
+    description: {
+      label: 'Description',
+      type: 'string',
+      textarea: true,
+      help: 'Shown below the label in dropdowns'
+    },
+    icon: {
+      label: 'Icon',
+      type: 'icon'
+    }
+  };
+
+  if (level < MAX_LEVEL) {
+    fields.children = {
+      label: level === 1 ? 'Dropdown Items' : 'Column Items',
+      type: 'array',
+      titleField: 'label',
+      help: level === 1
+        ? 'Add column groups to show the dropdown as a multi-column mega menu'
+        : 'Links listed in this column',
+      fields: {
+        add: getMenuItemFields(level + 1)
+      }
+    };
+    if (level > 1) {
+      fields.children.if = {
+        itemType: 'group'
+      };
+    }
+  }
+
+  return fields;
+}
+
+export default getMenuItemFields();
@@ -0,0 +1,24 @@
+export default {
+  heading: {
+    type: 'string',
+    label: 'Heading',
+    def: 'Subscribe to our newsletter'
+  },
+  text: {
+    type: 'string',
+    label: 'Text',
+    textarea: true
+  },
+  emailLabel: {
+    type: 'string',
+    label: 'Email Field Label',
+    def: 'Email address',
+    required: true
+  },
+  buttonLabel: {
+    type: 'string',
+    label: 'Button Label',
+    def: 'Subscribe',
+    required: true
+  }
+};
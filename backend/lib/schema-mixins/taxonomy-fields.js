@@ -0,0 +1,35 @@
+import colorOptionsHelper from '../helpers/color-options.js';
+
+// Colors that Bulma supports on the `tag` element used to display
+// categories and tags on the frontend
+const tagColors = [
+  'white',
+  'black',
+  'light',
+  'dark',
+  'primary',
+  'secondary',
+  'accent',
+  'link',
+  'info',
+  'success',
+  'warning',
+  'danger'
+];
+
+export default {
+  description: {
+    type: 'string',
+    label: 'Description',
+    textarea: true,
+    help: 'Shown at the top of the landing page for this term'
+  },
+  color: {
+    type: 'select',
+    label: 'Color',
+    def: 'link',
+    choices: colorOptionsHelper.getColorOptions().filter(color =>
+      tagColors.includes(color.value)
+    )
+  }
+};
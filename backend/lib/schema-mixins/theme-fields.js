@@ -0,0 +1,179 @@
+// Site-wide theme settings. The frontend turns them into overrides of
+// Bulma's `--bulma-*` custom properties (see `frontend/src/lib/theme.js`),
+// so empty fields keep Bulma's defaults from `main.scss`
+
+// Font choices. The values are keys of the font stacks in
+// `frontend/src/lib/theme.js`, which also loads the Google Fonts
+const fontChoices = [
+  {
+    label: 'Default (Bulma)',
+    value: ''
+  },
+  {
+    label: 'System UI',
+    value: 'system'
+  },
+  {
+    label: 'Inter',
+    value: 'inter'
+  },
+  {
+    label: 'Roboto',
+    value: 'roboto'
+  },
+  {
+    label: 'Open Sans',
+    value: 'open-sans'
+  },
+  {
+    label: 'Lato',
+    value: 'lato'
+  },
+  {
+    label: 'Montserrat',
+    value: 'montserrat'
+  },
+  {
+    label: 'Poppins',
+    value: 'poppins'
+  },
+  {
+    label: 'Merriweather (serif)',
+    value: 'merriweather'
+  },
+  {
+    label: 'Lora (serif)',
+    value: 'lora'
+  },
+  {
+    label: 'Playfair Display (serif)',
+    value: 'playfair-display'
+  },
+  {
+    label: 'Georgia (serif)',
+    value: 'georgia'
+  }
+];
+
+function brandColor(label, help) {
+  return {
+    type: 'color',
+    label,
+    help,
+    options: {
+      format: 'hex',
+      disableAlpha: true
+    }
+  };
+}
+
+export default {
+  primaryColor: brandColor('Primary Color', 'Main brand color, used for buttons and highlights'),
+  secondaryColor: brandColor('Secondary Color'),
+  accentColor: brandColor('Accent Color'),
+  linkColor: brandColor('Link Color'),
+  infoColor: brandColor('Info Color'),
+  successColor: brandColor('Success Color'),
+  warningColor: brandColor('Warning Color'),
+  dangerColor: brandColor('Danger Color'),
+  bodyFont: {
+    type: 'select',
+    label: 'Body Font',
+    choices: fontChoices,
+    def: ''
+  },
+  headingFont: {
+    type: 'select',
+    label: 'Heading Font',
+    help: 'Defaults to the body font',
+    choices: fontChoices,
+    def: ''
+  },
+  baseFontSize: {
+    type: 'select',
+    label: 'Base Font Size',
+    def: '',
+    choices: [
+      {
+        label: 'Small',
+        value: '1em'
+      },
+      {
+        label: 'Default',
+        value: ''
+      },
+      {
+        label: 'Large',
+        value: '1.3em'
+      },
+      {
+        label: 'Extra Large',
+        value: '1.4em'
+      }
+    ]
+  },
+  headingWeight: {
+    type: 'select',
+    label: 'Heading Weight',
+    def: '',
+    choices: [
+      {
+        label: 'Default',
+        value: ''
+      },
+      {
+        label: 'Normal (400)',
+        value: '400'
+      },
+      {
+        label: 'Medium (500)',
+        value: '500'
+      },
+      {
+        label: 'Semi-Bold (600)',
+        value: '600'
+      },
+      {
+        label: 'Bold (700)',
+        value: '700'
+      },
+      {
+        label: 'Extra Bold (800)',
+        value: '800'
+      }
+    ]
+  },
+  spacingScale: {
+    type: 'select',
+    label: 'Spacing Scale',
+    help: 'Scales the space between blocks and around sections',
+    def: '1',
+    choices: [
+      {
+        label: 'Compact',
+        value: '0.75'
+      },
+      {
+        label: 'Default',
+        value: '1'
+      },
+      {
+        label: 'Relaxed',
+        value: '1.25'
+      },
+      {
+        label: 'Spacious',
+        value: '1.5'
+      }
+    ]
+  },
+  radius: {
+    type: 'range',
+    label: 'Corner Radius (px)',
+    help: 'Rounding of buttons, cards, inputs and tags. Set to 0 for square corners',
+    min: 0,
+    max: 24,
+    step: 1,
+    def: 6
+  }
+};
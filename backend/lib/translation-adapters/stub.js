@@ -0,0 +1,26 @@
+// A translation adapter that needs no service: each text is "translated" by
+// prefixing it with the target locale, like `[fr] About us`. In rich text
+// only the text between tags is prefixed, so the markup is kept. It is
+// meant for trying the localize workflow in development without an API
+// key, and is never used in production.
+//
+// See `modules/machine-translation/index.js` for the adapter contract.
+export default {
+  name: 'stub',
+  label: 'Stub Translator',
+  // Any locale
+  languages: null,
+  async translate(texts, { target }) {
+    const prefix = `[${target}] `;
+    return texts.map(({ text, html }) => {
+      if (!html) {
+        return prefix + text;
+      }
+      return text.replace(/(^|>)([^<]*)/g, (match, start, content) => (
+        content.trim()
+          ? `${start}${content.replace(/^(\s*)/, `$1${prefix}`)}`
+          : match
+      ));
+    });
+  }
+};
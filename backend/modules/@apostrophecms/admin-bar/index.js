@@ -16,7 +16,25 @@ export default {
         label: 'Blog',
         items: [
           'article',
-          'author'
+          'author',
+          'category',
+          'tag'
+        ]
+      },
+      {
+        name: 'forms',
+        label: 'Forms',
+        items: [
+          'form',
+          'form-submission'
+        ]
+      },
+      {
+        name: 'webhooks',
+        label: 'Webhooks',
+        items: [
+          'webhook',
+          'webhook-delivery'
         ]
       }
     ]
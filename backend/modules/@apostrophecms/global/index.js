@@ -1,5 +1,9 @@
 import colorOptionsHelper from '../../../lib/helpers/color-options.js';
 import textSizeHelper from '../../../lib/helpers/typography-options.js';
+import menuItemFields from '../../../lib/schema-mixins/menu-item-fields.js';
+import themeFields from '../../../lib/schema-mixins/theme-fields.js';
+import darkModeFields from '../../../lib/schema-mixins/dark-mode-fields.js';
+import newsletterFields from '../../../lib/schema-mixins/newsletter-fields.js';
 
 export default {
   fields: {
@@ -133,6 +137,73 @@ export default {
               ],
               def: 'end'
             },
+            breadcrumbTypes: {
+              type: 'checkboxes',
+              label: 'Show Breadcrumbs On',
+              help: 'Page types that show the trail of parent pages below the header',
+              choices: [
+                {
+                  label: 'Default Pages',
+                  value: 'default-page'
+                },
+                {
+                  label: 'Article Pages and Articles',
+                  value: 'article-page'
+                },
+                {
+                  label: 'Author Pages and Profiles',
+                  value: 'author-page'
+                }
+              ],
+              def: [ 'default-page', 'article-page', 'author-page' ]
+            },
+            localeSwitcher: {
+              type: 'select',
+              label: 'Locale Switcher',
+              help: 'Links to the current page or article in the other locales',
+              choices: [
+                {
+                  label: 'Dropdown in the Header',
+                  value: 'dropdown'
+                },
+                {
+                  label: 'Flag List in the Header',
+                  value: 'flags'
+                },
+                {
+                  label: 'Footer Links',
+                  value: 'footer'
+                },
+                {
+                  label: 'Hidden',
+                  value: 'hidden'
+                }
+              ],
+              def: 'dropdown'
+            },
+            localeFallback: {
+              type: 'select',
+              label: 'Locales Without a Translation',
+              help: 'What the switcher does for locales the page or article is not published in',
+              choices: [
+                {
+                  label: 'Link to the Locale Home Page',
+                  value: 'home'
+                },
+                {
+                  label: 'Hide the Locale',
+                  value: 'hide'
+                }
+              ],
+              def: 'home',
+              if: {
+                $or: [
+                  { localeSwitcher: 'dropdown' },
+                  { localeSwitcher: 'flags' },
+                  { localeSwitcher: 'footer' }
+                ]
+              }
+            },
             headerBackgroundColor: {
               type: 'select',
               label: 'Header Background Color',
@@ -223,6 +294,31 @@ export default {
           }
         }
       },
+      themeGroup: {
+        type: 'object',
+        label: 'Theme Settings',
+        help: 'Brand colors, fonts, spacing and corner radius used across the site',
+        fields: {
+          add: themeFields
+        }
+      },
+      darkModeGroup: {
+        type: 'object',
+        label: 'Dark Mode Settings',
+        help: 'Colors of the dark color scheme',
+        fields: {
+          add: darkModeFields
+        }
+      },
+      navigation: {
+        type: 'array',
+        label: 'Navigation Menu',
+        help: 'Leave empty to build the menu from the pages below the home page',
+        titleField: 'label',
+        fields: {
+          add: menuItemFields
+        }
+      },
       footerGroup: {
         type: 'object',
         label: 'Footer Settings',
@@ -403,6 +499,22 @@ export default {
                 }
               }
             },
+            // Newsletter signup
+            newsletterSignup: {
+              type: 'boolean',
+              label: 'Show Newsletter Signup',
+              def: false
+            },
+            newsletter: {
+              type: 'object',
+              label: 'Newsletter Signup',
+              fields: {
+                add: newsletterFields
+              },
+              if: {
+                newsletterSignup: true
+              }
+            },
             // Copyright settings
             copyrightText: {
               type: 'string',
@@ -424,10 +536,18 @@ export default {
         label: 'Branding',
         fields: [ 'brandingGroup' ]
       },
+      theme: {
+        label: 'Theme',
+        fields: [ 'themeGroup', 'darkModeGroup' ]
+      },
       header: {
         label: 'Header',
         fields: [ 'headerGroup' ]
       },
+      navigation: {
+        label: 'Navigation',
+        fields: [ 'navigation' ]
+      },
       footer: {
         label: 'Footer',
         fields: [ 'footerGroup' ]
@@ -38,5 +38,67 @@ export default {
         value: 'de'
       }
     ]
+  },
+  handlers(self) {
+    return {
+      '@apostrophecms/page:beforeSend': {
+        // Add `data.alternates`, the public URL of the current page or piece
+        // in each locale it is published in, for `hreflang` links.
+        // The `_url` of `data.localizations` is a redirect route instead
+        async addAlternates(req) {
+          const context = req.data.piece || req.data.page;
+          if (!context || req.notFound) {
+            return;
+          }
+          const manager = self.apos.doc.getManager(context.type);
+          if (!manager.isLocalized()) {
+            return;
+          }
+          req.data.alternates = [];
+          for (const locale of Object.keys(self.locales)) {
+            const query = manager.find(req.clone({
+              locale,
+              mode: 'published',
+              user: null
+            }), { aposDocId: context.aposDocId });
+            // Scheduled and expired articles have no public URL yet
+            const doc = await (query.builders.live ? query.live(true) : query)
+              .project({
+                _url: 1,
+                aposDocId: 1
+              })
+              .relationships(false)
+              .areas(false)
+              .toObject();
+            if (doc?._url) {
+              req.data.alternates.push({
+                locale,
+                url: doc._url,
+                default: locale === self.defaultLocale
+              });
+            }
+          }
+        },
+        // Apostrophe only adds `data.localizations` for a localized page or
+        // piece. List the locales with their home page anyway, so the locale
+        // switcher is there on not found pages too
+        addLocaleHomePages(req) {
+          if (req.data.localizations) {
+            return;
+          }
+          req.data.localizations = Object.entries(self.locales)
+            .map(([ locale, options ]) => {
+              const localeReq = self.apos.util.cloneReq(req, { locale });
+              self.setPrefixUrls(localeReq);
+              return {
+                locale,
+                label: options.label,
+                direction: options.direction,
+                homePageUrl: `${localeReq.prefix}/`
+              };
+            });
+        }
+      }
+    };
   }
 };
@@ -21,6 +21,10 @@ export default {
         name: 'article-page',
         label: 'Article Page'
       },
+      {
+        name: 'author-page',
+        label: 'Author Page'
+      },
       {
         name: '@apostrophecms/home-page',
         label: 'Home'
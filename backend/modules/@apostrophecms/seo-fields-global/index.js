@@ -0,0 +1,18 @@
+export default {
+  extendApiRoutes(self) {
+    return {
+      get: {
+        // Point crawlers at the sitemap index served by the `sitemap`
+        // module, unless editors already added a `Sitemap:` line to a
+        // custom robots.txt
+        async '/robots.txt'(_super, req) {
+          const content = await _super(req);
+          if (!self.apos.modules.sitemap || /^sitemap:/im.test(content)) {
+            return content;
+          }
+          return `${content.replace(/\n*$/, '\n')}\nSitemap: ${req.baseUrlWithPrefix}/sitemap.xml\n`;
+        }
+      }
+    };
+  }
+};
@@ -0,0 +1,10 @@
+export default {
+  options: {
+    // Path-based pagination and filter URLs, like `/articles/page/2`, and
+    // the `/api/v1/@apostrophecms/url` list of every public URL. Static
+    // builds of the frontend need both, so start the backend with
+    // `APOS_BUILD=static` while running them. The Astro server renders
+    // these URLs as well
+    static: process.env.APOS_BUILD === 'static'
+  }
+};
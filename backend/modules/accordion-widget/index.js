@@ -41,6 +41,10 @@ export default {
               type: 'string',
               label: 'Header'
             },
+            icon: {
+              type: 'icon',
+              label: 'Header Icon'
+            },
             headerColor: {
               type: 'select',
               label: 'Header Color',
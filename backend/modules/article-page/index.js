@@ -1,15 +1,26 @@
 import { getWidgetGroups } from '../../lib/helpers/area-widgets.js';
+import { feedFormats, getImageMimeType } from '../../lib/helpers/feed-formats.js';
 
 export default {
   extend: '@apostrophecms/piece-page-type',
   options: {
     label: 'Article Page',
     perPage: 7,
+    // Each filter also gets a landing URL below the page, such as
+    // `/articles/category/news` or `/articles/tags/astro`
     piecesFilters: [
       {
         name: 'category'
+      },
+      {
+        name: 'tags'
       }
-    ]
+    ],
+    // Number of characters of body text shown around the first match
+    // in search results
+    searchSnippetLength: 240,
+    // Number of articles included in the RSS, Atom and JSON feeds
+    feedLimit: 20
   },
   fields: {
     add: {
@@ -86,6 +97,33 @@ export default {
             help: 'Simple, clean layout with focus on content'
           }
         ]
+      },
+      tocPosition: {
+        type: 'select',
+        label: 'Table of Contents',
+        help: 'Built from the headings in each article',
+        def: 'top',
+        choices: [
+          {
+            label: 'Top of Article',
+            value: 'top'
+          },
+          {
+            label: 'Sticky Sidebar',
+            value: 'sidebar',
+            help: 'Stays in view while reading long articles'
+          },
+          {
+            label: 'Hidden',
+            value: 'none'
+          }
+        ]
+      },
+      showSearch: {
+        type: 'boolean',
+        label: 'Show Article Search',
+        help: 'Let readers search articles by title, excerpt and content',
+        def: true
       }
     },
     group: {
@@ -95,8 +133,307 @@ export default {
       },
       utility: {
         label: 'Display Options',
-        fields: [ 'indexLayout', 'showLayout' ]
+        fields: [ 'indexLayout', 'showLayout', 'tocPosition', 'showSearch' ]
       }
     }
+  },
+  methods(self) {
+    return {
+      // Split a search string into lowercase terms, ignoring
+      // quotes and negated words that MongoDB text search supports
+      getSearchTerms(search) {
+        return (search || '')
+          .toLowerCase()
+          .split(/\s+/)
+          .filter(term => term && !term.startsWith('-'))
+          .map(term => term.replace(/["']/g, ''))
+          .filter(Boolean);
+      },
+
+      // Return the plaintext of the article body centered on the first
+      // matching term, so readers can see why an article matched
+      getSearchSnippet(piece, terms) {
+        const text = self.apos.area.plaintext(piece.mainContent || {})
+          .replace(/\s+/g, ' ');
+        if (!text) {
+          return '';
+        }
+        const length = self.options.searchSnippetLength;
+        const lower = text.toLowerCase();
+        const index = terms
+          .map(term => lower.indexOf(term))
+          .filter(i => i !== -1)
+          .sort((a, b) => a - b)[0];
+        if (index === undefined) {
+          return self.apos.util.truncatePlaintext(text, length, '...');
+        }
+        const start = Math.max(0, index - Math.floor(length / 3));
+        const snippet = self.apos.util.truncatePlaintext(
+          text.slice(start),
+          length,
+          '...'
+        );
+        return (start > 0 ? '...' : '') + snippet;
+      },
+
+      // Find the category or tag piece for the active filter, so the index
+      // page can show its title and description as a landing page
+      async getActiveTaxonomy(req) {
+        for (const { name } of self.piecesFilters) {
+          const slug = self.apos.launder.string(req.query[name]);
+          if (!slug) {
+            continue;
+          }
+          const field = self.pieces.schema.find(field => field.name === `_${name}`);
+          const piece = await self.apos.doc.getManager(field.withType)
+            .find(req, { slug })
+            .relationships(false)
+            .toObject();
+          if (piece) {
+            return {
+              name,
+              ...piece
+            };
+          }
+        }
+        return null;
+      },
+
+      // Split a page path such as `/fr/articles` into its locale and slug,
+      // using the prefixes configured in `@apostrophecms/i18n`
+      resolveFeedPath(path) {
+        const { locales, defaultLocale } = self.apos.i18n;
+        const normalized = '/' + (path || '').replace(/^\/+|\/+$/g, '');
+        for (const [ locale, options ] of Object.entries(locales)) {
+          const prefix = options.prefix;
+          if (
+            prefix &&
+            (normalized === prefix || normalized.startsWith(`${prefix}/`))
+          ) {
+            return {
+              locale,
+              slug: normalized.slice(prefix.length) || '/'
+            };
+          }
+        }
+        return {
+          locale: defaultLocale,
+          slug: normalized
+        };
+      },
+
+      getFeedCategories(piece) {
+        return [ ...(piece._category || []), ...(piece._tags || []) ]
+          .map(term => term.title);
+      },
+
+      // The hero image of `piece`, as an enclosure. Only the size of the
+      // original file is known, so it is used when that size is, and the
+      // `full` size otherwise, without a `length`
+      getFeedImage(piece) {
+        const attachment = piece._heroImage?.[0]?.attachment;
+        if (!attachment) {
+          return null;
+        }
+        const size = attachment.length ? 'original' : 'full';
+        return {
+          url: attachment._urls?.[size] ||
+            self.apos.attachment.url(attachment, { size }),
+          type: getImageMimeType(attachment.extension),
+          length: attachment.length || null
+        };
+      },
+
+      // The origin of feed URLs, which must be absolute: the base URL of
+      // the site, otherwise the one of the request, whose host is the
+      // frontend's when it comes through the `/api/v1` proxy
+      getFeedOrigin(req) {
+        return self.apos.baseUrl || req.baseUrl || `${req.protocol}://${req.get('host')}`;
+      },
+
+      // Build the normalized feed object rendered by the serializers in
+      // `lib/helpers/feed-formats.js`. Returns `null` if there is no
+      // published article page at `path`
+      async getFeed(req, {
+        path, category
+      }) {
+        const { locale, slug } = self.resolveFeedPath(path);
+        if (!self.apos.i18n.locales[locale]) {
+          return null;
+        }
+        const feedReq = req.clone({
+          locale,
+          mode: 'published',
+          query: category ? { category } : {},
+          data: {}
+        });
+        const page = await self.apos.page.find(feedReq, {
+          slug,
+          type: self.__meta.name
+        }).toObject();
+        if (!page) {
+          return null;
+        }
+        feedReq.data.page = page;
+        const pieces = await self.indexQuery(feedReq)
+          .perPage(null)
+          .sort({
+            publishDate: -1,
+            createdAt: -1
+          })
+          .limit(self.options.feedLimit)
+          .toArray();
+
+        const origin = self.getFeedOrigin(req);
+        const absolute = url => new URL(url, origin).href;
+        const homeUrl = absolute(page._url);
+        const query = category ? `?category=${encodeURIComponent(category)}` : '';
+        const feedUrls = Object.fromEntries(
+          Object.keys(feedFormats).map(format => [
+            format,
+            `${homeUrl.replace(/\/$/, '')}/feed.${format}${query}`
+          ])
+        );
+        const categoryPiece = category &&
+          await self.apos.modules.category.find(feedReq, { slug: category }).toObject();
+        const categoryLabel = categoryPiece?.title;
+
+        const items = pieces.map(piece => {
+          const image = self.getFeedImage(piece);
+          if (image) {
+            image.url = absolute(image.url);
+          }
+          return {
+            // Stable across slug changes, unlike the URL
+            id: `urn:apostrophe:${piece.aposDocId}`,
+            title: piece.title,
+            url: absolute(piece._url),
+            summary: piece.excerpt || '',
+            author: piece._author?.[0]?.title,
+            published: new Date(piece.publishDate || piece.createdAt),
+            updated: piece.updatedAt ? new Date(piece.updatedAt) : null,
+            categories: self.getFeedCategories(piece),
+            image
+          };
+        });
+
+        return {
+          title: categoryLabel ? `${page.title}: ${categoryLabel}` : page.title,
+          description: page.seoDescription || '',
+          language: locale,
+          homeUrl,
+          feedUrls,
+          updated: items.reduce(
+            (latest, item) => {
+              const date = item.updated || item.published;
+              return date > latest ? date : latest;
+            },
+            new Date(page.updatedAt || Date.now())
+          ),
+          items
+        };
+      }
+    };
+  },
+  routes(self) {
+    return {
+      get: {
+        // GET /api/v1/article-page/feed?path=/fr/articles&format=rss
+        //
+        // Serves the articles of the article page at `path` as RSS,
+        // Atom or JSON Feed. An optional `category` narrows the feed
+        // the same way the index page filter does
+        async feed(req, res) {
+          const format = self.apos.launder.select(
+            req.query.format,
+            Object.keys(feedFormats)
+          );
+          if (!format) {
+            return res.status(400).send('Unknown feed format');
+          }
+          try {
+            const feed = await self.getFeed(req, {
+              path: self.apos.launder.string(req.query.path),
+              category: self.apos.launder.string(req.query.category)
+            });
+            if (!feed) {
+              return res.status(404).send('Not Found');
+            }
+            res.set('Content-Type', feedFormats[format].contentType);
+            res.set('Cache-Control', 'public, max-age=300');
+            return res.send(feedFormats[format].render(feed));
+          } catch (e) {
+            self.apos.util.error(e);
+            return res.status(500).send('Error generating feed');
+          }
+        }
+      }
+    };
+  },
+  extendMethods(self) {
+    return {
+      // Serve the filter landing URLs. Apostrophe only adds these routes
+      // itself in static builds
+      dispatchAll(_super) {
+        _super();
+        if (self.apos.url.options.static) {
+          return;
+        }
+        for (const filter of self.piecesFilters) {
+          self.dispatch(`/${filter.name}/:filterValue`, req => {
+            req.query[filter.name] = req.params.filterValue;
+            return self.indexPage(req);
+          });
+        }
+      },
+      // Link filter choices to their landing URLs rather than query strings
+      async getFiltersWithChoices(_super, query, options) {
+        const filters = await _super(query, options);
+        const page = query.req.data.page;
+        if (!page || self.apos.url.options.static) {
+          return filters;
+        }
+        for (const filter of filters) {
+          for (const choice of filter.choices) {
+            choice._url = `${page._url.replace(/\/$/, '')}/${filter.name}/${encodeURIComponent(choice.value)}`;
+          }
+        }
+        return filters;
+      },
+      indexQuery(_super, req) {
+        // Future-dated and expired articles are only listed when
+        // previewing drafts
+        const query = _super(req).live(req.mode !== 'draft');
+        // The `search` builder is applied from the query string by default,
+        // so switch it off when editors have disabled search for this page
+        if (req.data.page?.showSearch === false) {
+          query.search(null);
+        }
+        return query;
+      },
+      // Add pinned and suggested related articles as `_relatedArticles`
+      async beforeShow(_super, req) {
+        await _super(req);
+        const piece = req.data.piece;
+        piece._relatedArticles = await self.pieces.getRelatedArticles(req, piece);
+      },
+      async beforeIndex(_super, req) {
+        await _super(req);
+        req.data.taxonomy = await self.getActiveTaxonomy(req);
+        const search = self.apos.launder.string(req.query.search).trim();
+        if (!search || req.data.page?.showSearch === false) {
+          return;
+        }
+        const terms = self.getSearchTerms(search);
+        req.data.search = {
+          query: search,
+          terms,
+          total: req.data.totalPieces || 0
+        };
+        for (const piece of req.data.pieces || []) {
+          piece._searchSnippet = self.getSearchSnippet(piece, terms);
+        }
+      }
+    };
   }
 };
@@ -5,32 +5,46 @@ export default {
   options: {
     label: 'Article',
     pluralLabel: 'Articles',
-    shortcut: 'Shift+Alt+A'
+    shortcut: 'Shift+Alt+A',
+    // How often, in milliseconds, the running site checks for scheduled
+    // articles to publish or unpublish. Set to `false` to rely on the
+    // `article:schedule` task from cron instead
+    scheduleInterval: 15 * 60 * 1000,
+    // Number of related articles shown on an article, pinned and suggested
+    relatedLimit: 4,
+    // Number of recent articles sharing a category, tag or author that
+    // are scored when suggesting related articles
+    relatedCandidates: 50,
+    // Reading speed used to estimate reading time
+    wordsPerMinute: 200
   },
   fields: {
     add: {
-      category: {
-        type: 'select',
+      _category: {
+        type: 'relationship',
         label: 'Category',
-        help: 'Choose a category for this article',
-        choices: [
-          {
-            label: 'News',
-            value: 'news'
-          },
-          {
-            label: 'Opinion',
-            value: 'opinion'
-          },
-          {
-            label: 'Feature',
-            value: 'feature'
-          },
-          {
-            label: 'Review',
-            value: 'review'
+        help: 'Choose a category for this article. New categories can be added from the Blog menu',
+        withType: 'category',
+        max: 1,
+        builders: {
+          project: {
+            title: 1,
+            slug: 1,
+            color: 1
           }
-        ]
+        }
+      },
+      _tags: {
+        type: 'relationship',
+        label: 'Tags',
+        withType: 'tag',
+        builders: {
+          project: {
+            title: 1,
+            slug: 1,
+            color: 1
+          }
+        }
       },
       _heroImage: {
         type: 'relationship',
@@ -58,13 +72,26 @@ export default {
         withRelationships: [ '_articles' ]
       },
       publishDate: {
-        lable: 'Publication Date',
+        label: 'Publication Date',
+        type: 'date',
+        required: true,
+        help: 'Articles are hidden from listings until this date'
+      },
+      scheduledPublish: {
+        label: 'Publish Automatically',
+        type: 'boolean',
+        def: false,
+        help: 'Publish the latest draft on the publication date'
+      },
+      unpublishDate: {
+        label: 'Expiry Date',
         type: 'date',
-        required: true
+        help: 'Optional. The article is unpublished on this date'
       },
       _related: {
         type: 'relationship',
-        label: 'Related Articles',
+        label: 'Pinned Related Articles',
+        help: 'Always shown first. Any remaining slots are filled with suggested articles',
         withType: 'article',
         max: 4,
         builders: {
@@ -74,17 +101,494 @@ export default {
           }
         },
         withRelationships: [ '_heroImage' ]
+      },
+      _excludedRelated: {
+        type: 'relationship',
+        label: 'Never Suggest',
+        help: 'Articles that should not be suggested as related to this one',
+        withType: 'article',
+        builders: {
+          project: {
+            title: 1
+          }
+        }
       }
     },
     group: {
       basics: {
         label: 'Basic Info',
-        fields: [ '_author', 'category', 'publishDate', '_related' ]
+        fields: [ '_author', '_category', '_tags', 'publishDate', 'scheduledPublish', 'unpublishDate' ]
+      },
+      related: {
+        label: 'Related Articles',
+        fields: [ '_related', '_excludedRelated' ]
       },
       content: {
         label: 'Content',
         fields: [ '_heroImage', 'excerpt', 'mainContent' ]
       }
     }
+  },
+  init(self) {
+    self.addCategoryMigration();
+    self.addReadingMetricsMigration();
+    self.addScheduleIndicators();
+  },
+  handlers(self) {
+    return {
+      beforeSave: {
+        checkScheduleDates(req, piece) {
+          if (
+            piece.unpublishDate &&
+            piece.publishDate &&
+            piece.unpublishDate <= piece.publishDate
+          ) {
+            throw self.apos.error('invalid', 'The expiry date must be after the publication date.');
+          }
+          // Flag used by the manager badge, which can only compare values
+          piece.scheduledUnpublish = Boolean(piece.unpublishDate);
+        },
+        computeReadingMetrics(req, piece) {
+          self.setReadingMetrics(piece);
+        }
+      },
+      'apostrophe:run': {
+        startScheduler(isTask) {
+          if (isTask || !self.options.scheduleInterval) {
+            return;
+          }
+          self.scheduleTimer = setInterval(async () => {
+            try {
+              await self.runSchedule();
+            } catch (e) {
+              self.apos.util.error(e);
+            }
+          }, self.options.scheduleInterval);
+        }
+      },
+      'apostrophe:destroy': {
+        stopScheduler() {
+          clearInterval(self.scheduleTimer);
+        }
+      }
+    };
+  },
+  tasks(self) {
+    return {
+      schedule: {
+        usage: 'Publish articles whose publication date has arrived and unpublish expired articles.\nRun this from cron, e.g. every 15 minutes.',
+        async task() {
+          const { published, unpublished } = await self.runSchedule();
+          self.apos.util.log(`Published ${published}, unpublished ${unpublished} scheduled articles.`);
+        }
+      }
+    };
+  },
+  queries(self, query) {
+    return {
+      builders: {
+        // Only return articles whose publication date has arrived and
+        // whose expiry date, if any, has not
+        live: {
+          def: false,
+          finalize() {
+            if (!query.get('live')) {
+              return;
+            }
+            const today = self.getToday();
+            query.and({
+              $and: [
+                {
+                  $or: [
+                    { publishDate: null },
+                    { publishDate: '' },
+                    { publishDate: { $lte: today } }
+                  ]
+                },
+                {
+                  $or: [
+                    { unpublishDate: null },
+                    { unpublishDate: '' },
+                    { unpublishDate: { $gt: today } }
+                  ]
+                }
+              ]
+            });
+          }
+        }
+      }
+    };
+  },
+  methods(self) {
+    return {
+      // Today's date in the `YYYY-MM-DD` format of date fields, in the
+      // server's time zone
+      getToday() {
+        const now = new Date();
+        return [
+          now.getFullYear(),
+          String(now.getMonth() + 1).padStart(2, '0'),
+          String(now.getDate()).padStart(2, '0')
+        ].join('-');
+      },
+
+      // Publish drafts flagged with `scheduledPublish` whose publication
+      // date has arrived, and unpublish articles past their expiry date,
+      // in every locale. Resolves to the number of articles of each
+      async runSchedule() {
+        return self.apos.lock.withLock('article-schedule', async () => {
+          const today = self.getToday();
+          let published = 0;
+          let unpublished = 0;
+          for (const locale of Object.keys(self.apos.i18n.locales)) {
+            const req = self.apos.task.getReq({
+              locale,
+              mode: 'draft'
+            });
+            const due = await self.find(req, {
+              scheduledPublish: true,
+              publishDate: {
+                $gt: '',
+                $lte: today
+              }
+            }).relationships(false).areas(false).toArray();
+            for (const draft of due) {
+              const full = await self.findOneForEditing(req, { _id: draft._id });
+              const updated = await self.update(req, {
+                ...full,
+                scheduledPublish: false
+              });
+              await self.publish(req, updated);
+              published++;
+            }
+
+            const publishedReq = req.clone({ mode: 'published' });
+            const expired = await self.find(publishedReq, {
+              unpublishDate: {
+                $gt: '',
+                $lte: today
+              }
+            }).relationships(false).areas(false).toArray();
+            for (const piece of expired) {
+              await self.unpublish(publishedReq, piece);
+              unpublished++;
+            }
+          }
+          return {
+            published,
+            unpublished
+          };
+        });
+      },
+
+      // Count the words in every rich text widget of an area, including
+      // those nested in layout widgets, and give each h2-h4 heading a
+      // unique `id` attribute. The widget content is updated in place.
+      // Returns `{ words, headings }` where headings are `{ id, text, level }`
+      // Set the `wordCount`, `readingTime` and `tableOfContents` of
+      // `piece`, adding the `id` of the headings to its content
+      setReadingMetrics(piece) {
+        const { words, headings } = self.getRichTextMetrics(piece.mainContent);
+        piece.wordCount = words;
+        piece.readingTime = Math.max(1, Math.ceil(words / self.options.wordsPerMinute));
+        piece.tableOfContents = headings;
+      },
+
+      // Reading metrics are computed on save. Compute them for the
+      // articles saved before they existed
+      addReadingMetricsMigration() {
+        self.apos.migration.add('article-reading-metrics', async () => {
+          await self.apos.migration.eachDoc({
+            type: self.__meta.name,
+            readingTime: { $exists: false }
+          }, 5, async article => {
+            self.setReadingMetrics(article);
+            await self.apos.doc.db.updateOne({ _id: article._id }, {
+              $set: {
+                ...article.mainContent && { mainContent: article.mainContent },
+                wordCount: article.wordCount,
+                readingTime: article.readingTime,
+                tableOfContents: article.tableOfContents
+              }
+            });
+          });
+        });
+      },
+
+      getRichTextMetrics(area) {
+        const ids = new Set();
+        const headings = [];
+        let words = 0;
+        const walk = value => {
+          if (!value || typeof value !== 'object') {
+            return;
+          }
+          if (Array.isArray(value)) {
+            value.forEach(walk);
+            return;
+          }
+          if (
+            value.metaType === 'widget' &&
+            value.type === '@apostrophecms/rich-text' &&
+            typeof value.content === 'string'
+          ) {
+            value.content = addHeadingIds(value.content);
+            words += self.apos.util.htmlToPlaintext(value.content)
+              .split(/\s+/)
+              .filter(Boolean).length;
+            return;
+          }
+          Object.values(value).forEach(walk);
+        };
+        const addHeadingIds = html => html.replace(
+          /<h([2-4])(\s[^>]*)?>([\s\S]*?)<\/h\1>/gi,
+          (match, level, attributes = '', inner) => {
+            const text = self.apos.util.htmlToPlaintext(inner).trim();
+            if (!text) {
+              return match;
+            }
+            const base = self.apos.util.slugify(text) || 'section';
+            let id = base;
+            for (let i = 2; ids.has(id); i++) {
+              id = `${base}-${i}`;
+            }
+            ids.add(id);
+            headings.push({
+              id,
+              text,
+              level: Number(level)
+            });
+            const rest = attributes.replace(/\sid=("[^"]*"|'[^']*'|[^\s>]*)/i, '');
+            return `<h${level} id="${id}"${rest}>${inner}</h${level}>`;
+          }
+        );
+        walk(area);
+        return {
+          words,
+          headings
+        };
+      },
+
+      // Pinned related articles followed by suggestions, up to the
+      // `relatedLimit` option. Suggestions are flagged with `_suggested`
+      async getRelatedArticles(req, article) {
+        const pinned = article._related || [];
+        const limit = self.options.relatedLimit - pinned.length;
+        if (limit <= 0) {
+          return pinned.slice(0, self.options.relatedLimit);
+        }
+        const suggestions = await self.getRelatedSuggestions(req, article, limit);
+        return [ ...pinned, ...suggestions ];
+      },
+
+      // Suggest up to `limit` articles related to `article`. Candidates
+      // share its category, tags or author, or match words from its title
+      // and excerpt, and are scored on all of these. Pinned and excluded
+      // articles are never suggested
+      async getRelatedSuggestions(req, article, limit) {
+        const excluded = [
+          article.aposDocId,
+          ...(article.relatedIds || []),
+          ...(article.excludedRelatedIds || [])
+        ];
+        const shared = [ 'categoryIds', 'tagsIds', 'authorIds' ]
+          .filter(name => article[name]?.length)
+          .map(name => ({ [name]: { $in: article[name] } }));
+        const words = self.getRelatedWords(article);
+        const candidates = new Map();
+        const find = criteria => self.find(req, {
+          aposDocId: { $nin: excluded },
+          ...criteria
+        })
+          .live(req.mode !== 'draft')
+          .project({
+            aposDocId: 1,
+            title: 1,
+            excerpt: 1,
+            publishDate: 1,
+            categoryIds: 1,
+            tagsIds: 1,
+            authorIds: 1,
+            _url: 1
+          })
+          .relationships([ '_heroImage' ])
+          .limit(self.options.relatedCandidates);
+
+        if (shared.length) {
+          const docs = await find({ $or: shared })
+            .sort({ publishDate: -1 })
+            .toArray();
+          docs.forEach(doc => candidates.set(doc.aposDocId, doc));
+        }
+        if (words.size) {
+          const docs = await find({})
+            .search([ ...words ].join(' '))
+            .toArray();
+          docs.forEach(doc => candidates.set(doc.aposDocId, doc));
+        }
+
+        return [ ...candidates.values() ]
+          .map(doc => ({
+            doc,
+            score: self.scoreRelated(article, doc, words)
+          }))
+          .filter(({ score }) => score > 0)
+          .sort((a, b) => (b.score - a.score) ||
+            (b.doc.publishDate || '').localeCompare(a.doc.publishDate || ''))
+          .slice(0, limit)
+          .map(({ doc }) => ({
+            ...doc,
+            _suggested: true
+          }));
+      },
+
+      // Distinct lowercase words of four or more letters from the title
+      // and excerpt, used for text similarity
+      getRelatedWords(article) {
+        const text = `${article.title || ''} ${article.excerpt || ''}`.toLowerCase();
+        return new Set(
+          text.split(/[^\p{L}\p{N}]+/u).filter(word => word.length >= 4)
+        );
+      },
+
+      scoreRelated(article, candidate, words) {
+        const count = name => (candidate[name] || [])
+          .filter(id => (article[name] || []).includes(id)).length;
+        const candidateWords = self.getRelatedWords(candidate);
+        const common = [ ...candidateWords ].filter(word => words.has(word)).length;
+        const union = new Set([ ...words, ...candidateWords ]).size;
+        const similarity = union ? common / union : 0;
+        return count('categoryIds') * 3 +
+          count('tagsIds') * 2 +
+          count('authorIds') +
+          similarity * 5;
+      },
+
+      // Badges in the article manager for scheduled articles
+      addScheduleIndicators() {
+        self.apos.schema.addManagerIndicator({
+          component: 'AposLabel',
+          props: {
+            label: 'Scheduled',
+            tooltip: 'Will be published on the publication date',
+            modifiers: [ 'apos-is-warning' ]
+          },
+          if: {
+            type: self.__meta.name,
+            scheduledPublish: true
+          }
+        });
+        self.apos.schema.addManagerIndicator({
+          component: 'AposLabel',
+          props: {
+            label: 'Expires',
+            tooltip: 'Will be unpublished on the expiry date'
+          },
+          if: {
+            type: self.__meta.name,
+            scheduledUnpublish: true
+          }
+        });
+      },
+
+      // Articles used to store their category as one of a fixed set of
+      // select values. Create a category piece for each value in use, once
+      // in the default locale then localized to the other locales of its
+      // articles, and relate the articles to it
+      addCategoryMigration() {
+        self.apos.migration.add('article-category-relationship', async () => {
+          const labels = {
+            news: 'News',
+            opinion: 'Opinion',
+            feature: 'Feature',
+            review: 'Review'
+          };
+          const articles = await self.apos.doc.db.find({
+            type: self.__meta.name,
+            category: {
+              $type: 'string',
+              $ne: ''
+            }
+          }).project({
+            aposLocale: 1,
+            category: 1
+          }).toArray();
+          const locales = {};
+          for (const article of articles) {
+            const [ locale ] = article.aposLocale.split(':');
+            locales[article.category] ||= new Set();
+            locales[article.category].add(locale);
+          }
+          const categoryIds = {};
+          for (const [ slug, slugLocales ] of Object.entries(locales)) {
+            categoryIds[slug] = await self.findOrCreateCategory(
+              slug,
+              labels[slug] || slug,
+              [ ...slugLocales ]
+            );
+          }
+          for (const article of articles) {
+            await self.apos.doc.db.updateOne({ _id: article._id }, {
+              $set: { categoryIds: [ categoryIds[article.category] ] },
+              $unset: { category: 1 }
+            });
+          }
+        });
+      },
+
+      // The `aposDocId` of the category with `slug`, created in the default
+      // locale if needed, then localized and published in each of `locales`
+      // that doesn't have it yet
+      async findOrCreateCategory(slug, title, locales) {
+        const categories = self.apos.modules.category;
+        const getReq = locale => self.apos.task.getReq({
+          locale,
+          mode: 'draft'
+        });
+        const defaultLocale = self.apos.i18n.defaultLocale;
+        const existing = await self.apos.doc.db.find({
+          type: categories.__meta.name,
+          slug,
+          aposMode: 'draft'
+        }).project({
+          aposDocId: 1,
+          aposLocale: 1
+        }).toArray();
+        const source = existing
+          .find(category => category.aposLocale === `${defaultLocale}:draft`) ||
+          existing[0];
+        const sourceReq = getReq(source?.aposLocale.split(':')[0] || defaultLocale);
+        let draft;
+        if (source) {
+          draft = await categories.find(sourceReq, {
+            aposDocId: source.aposDocId
+          }).archived(null).toObject();
+        } else {
+          draft = await categories.insert(sourceReq, {
+            title,
+            slug
+          });
+          await categories.publish(sourceReq, draft);
+        }
+        for (const locale of locales) {
+          const localized = await categories.find(getReq(locale), {
+            aposDocId: draft.aposDocId
+          }).archived(null).toObject();
+          if (!localized) {
+            const result = await categories.localize(sourceReq, draft, locale);
+            await categories.publish(getReq(locale), result);
+          }
+        }
+        return draft.aposDocId;
+      }
+    };
+  },
+  extendMethods(self) {
+    return {
+      // Leave future-dated and expired articles out of static builds
+      getUrlMetadataQuery(_super, req) {
+        return _super(req).live(true);
+      }
+    };
   }
 };
@@ -0,0 +1,84 @@
+import { getWidgetGroups } from '../../lib/helpers/area-widgets.js';
+
+export default {
+  extend: '@apostrophecms/piece-page-type',
+  options: {
+    label: 'Author Page',
+    perPage: 12,
+    // Number of articles listed per page on an author's profile
+    articlesPerPage: 6
+  },
+  fields: {
+    add: {
+      masthead: {
+        type: 'area',
+        options: getWidgetGroups({
+          includeLayouts: true
+        })
+      },
+      afterContent: {
+        type: 'area',
+        label: 'After Authors Section',
+        options: getWidgetGroups({
+          includeLayouts: true
+        })
+      }
+    },
+    group: {
+      basics: {
+        label: 'Basics',
+        fields: [ 'masthead', 'afterContent' ]
+      }
+    }
+  },
+  methods(self) {
+    return {
+      // Query for the live articles credited to an author, newest first
+      articlesQuery(req, author) {
+        return self.apos.modules.article
+          .find(req, {
+            authorIds: { $in: [ author.aposDocId ] }
+          })
+          .live(req.mode !== 'draft')
+          .sort({
+            publishDate: -1,
+            createdAt: -1
+          })
+          .perPage(self.options.articlesPerPage);
+      }
+    };
+  },
+  extendMethods(self) {
+    return {
+      // Serve the pages of an author's article list at path-based URLs,
+      // like `/authors/jane-doe/page/2`, when URLs are static
+      dispatchAll(_super) {
+        _super();
+        if (!self.apos.url.options.static) {
+          return;
+        }
+        self.dispatch('/:slug/page/:pagenum', req => {
+          req.query.page = req.params.pagenum;
+          return self.showPage(req);
+        });
+      },
+      // Add `req.data.articles` to the show page, paginated with the
+      // usual `?page=` query parameter
+      async beforeShow(_super, req) {
+        await _super(req);
+        const author = req.data.piece;
+        const query = self.articlesQuery(req, author)
+          .page(self.apos.launder.integer(req.query.page, 1, 1));
+        const count = await query.toCount();
+        if (count && query.get('page') > query.get('totalPages')) {
+          req.notFound = true;
+          return;
+        }
+        req.data.totalArticles = count;
+        req.data.totalPages = query.get('totalPages');
+        req.data.currentPage = query.get('page');
+        req.data.articles = await query.toArray();
+      }
+    };
+  }
+};
@@ -86,5 +86,29 @@ export default {
         fields: [ 'socialLinks' ]
       }
     }
+  },
+  extendMethods(self) {
+    return {
+      // Static builds also need the pages of an author's article list,
+      // like `/authors/jane-doe/page/2`
+      async getUrlMetadata(_super, req, doc) {
+        const metadata = await _super(req, doc);
+        const authorPage = self.apos.modules['author-page'];
+        if (!metadata.length || !self.apos.url.options.static || !authorPage) {
+          return metadata;
+        }
+        const [ entry ] = metadata;
+        const query = authorPage.articlesQuery(req, doc);
+        await query.toCount();
+        for (let page = 2; page <= query.get('totalPages'); page++) {
+          metadata.push({
+            ...entry,
+            i18nId: `${entry.i18nId}.${page}`,
+            url: entry.url + self.apos.url.getPageFilter(page)
+          });
+        }
+        return metadata;
+      }
+    };
   }
 };
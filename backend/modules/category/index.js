@@ -0,0 +1,22 @@
+import taxonomyFields from '../../lib/schema-mixins/taxonomy-fields.js';
+import { extendTaxonomyMethods } from '../../lib/helpers/taxonomy.js';
+
+export default {
+  extend: '@apostrophecms/piece-type',
+  options: {
+    label: 'Category',
+    pluralLabel: 'Categories'
+  },
+  fields: {
+    add: {
+      ...taxonomyFields
+    },
+    group: {
+      basics: {
+        label: 'Basics',
+        fields: [ 'title', 'slug', 'description', 'color' ]
+      }
+    }
+  },
+  extendMethods: extendTaxonomyMethods
+};
@@ -0,0 +1,391 @@
+import { tmpdir } from 'node:os';
+import { unlink } from 'node:fs/promises';
+import { promisify } from 'node:util';
+import { toCsv } from '../../lib/helpers/csv.js';
+
+// The answers posted to forms, stored by the `form` module. Each answer
+// keeps the label its field had at the time, so later changes to the form
+// don't change past submissions. Editors can export the submissions of a
+// form to CSV from the form's context menu.
+//
+// Uploaded files are private: they are kept in their own uploadfs storage,
+// under `data/form-uploads` or with a private ACL on S3, and only served
+// by the `file` route to those who can view submissions. They are removed
+// with their submission
+export default {
+  extend: '@apostrophecms/piece-type',
+  options: {
+    label: 'Form Submission',
+    pluralLabel: 'Form Submissions',
+    quickCreate: false,
+    showCreate: false,
+    searchable: false,
+    localized: false,
+    versions: false,
+    editRole: 'editor',
+    publishRole: 'editor',
+    viewRole: 'editor',
+    sort: { createdAt: -1 }
+  },
+  fields: {
+    add: {
+      _form: {
+        type: 'relationship',
+        label: 'Form',
+        withType: 'form',
+        max: 1,
+        readOnly: true
+      },
+      entries: {
+        type: 'array',
+        label: 'Answers',
+        titleField: 'label',
+        readOnly: true,
+        fields: {
+          add: {
+            label: {
+              type: 'string',
+              label: 'Field',
+              readOnly: true
+            },
+            value: {
+              type: 'string',
+              label: 'Answer',
+              textarea: true,
+              readOnly: true
+            },
+            fieldId: {
+              type: 'string',
+              label: 'Field ID',
+              readOnly: true
+            }
+          }
+        }
+      },
+      files: {
+        type: 'array',
+        label: 'Files',
+        titleField: 'label',
+        readOnly: true,
+        fields: {
+          add: {
+            label: {
+              type: 'string',
+              label: 'Field',
+              readOnly: true
+            },
+            file: {
+              type: 'formSubmissionFile',
+              label: 'File',
+              readOnly: true
+            },
+            fieldId: {
+              type: 'string',
+              label: 'Field ID',
+              readOnly: true
+            }
+          }
+        }
+      },
+      pageUrl: {
+        type: 'string',
+        label: 'Page',
+        readOnly: true
+      },
+      locale: {
+        type: 'string',
+        label: 'Locale',
+        readOnly: true
+      }
+    },
+    group: {
+      basics: {
+        label: 'Basics',
+        fields: [ 'title', '_form', 'entries', 'files' ]
+      },
+      details: {
+        label: 'Details',
+        fields: [ 'pageUrl', 'locale' ]
+      }
+    }
+  },
+  columns: {
+    add: {
+      createdAt: {
+        label: 'Submitted',
+        component: 'AposCellDate'
+      }
+    }
+  },
+  filters: {
+    add: {
+      _form: {
+        label: 'Form'
+      }
+    }
+  },
+  async init(self) {
+    self.uploadfs = await self.apos.modules['@apostrophecms/uploadfs'].getInstance({
+      uploadsPath: `${self.apos.rootDir}/data/form-uploads`,
+      bucketObjectsACL: 'private'
+    });
+    self.addFileFieldType();
+    self.addPrivateFilesMigration();
+  },
+  handlers(self) {
+    return {
+      afterDelete: {
+        removeFiles(req, submission) {
+          return Promise.all((submission.files || [])
+            .map(file => self.removeFile(file.file)));
+        }
+      },
+      'apostrophe:destroy': {
+        async destroyUploadfs() {
+          await promisify(self.uploadfs.destroy)();
+        }
+      }
+    };
+  },
+  routes(self) {
+    return {
+      get: {
+        // Download the uploaded file whose `_id` is the `id` query
+        // parameter
+        async file(req, res) {
+          try {
+            if (!self.apos.permission.can(req, 'view', self.__meta.name)) {
+              return res.status(403).send('Forbidden');
+            }
+            const _id = self.apos.launder.id(req.query.id);
+            const submission = _id && await self.find(req, {
+              'files.file._id': _id
+            }).relationships(false).toObject();
+            const file = submission?.files
+              .find(item => item.file?._id === _id)?.file;
+            if (!file) {
+              return res.status(404).send('Not Found');
+            }
+            res.attachment(file.name);
+            // Never rendered by the browser, whatever the visitor uploaded
+            res.type('application/octet-stream');
+            res.set('X-Content-Type-Options', 'nosniff');
+            self.uploadfs.streamOut(self.getFilePath(file))
+              .on('error', e => {
+                self.apos.util.error(e);
+                if (res.headersSent) {
+                  return res.destroy();
+                }
+                return res.status(404).send('Not Found');
+              })
+              .pipe(res);
+          } catch (e) {
+            self.apos.util.error(e);
+            return res.status(500).send('Error');
+          }
+        }
+      }
+    };
+  },
+  apiRoutes(self) {
+    return {
+      post: {
+        // The submissions of the form whose `_id` is posted, as a CSV
+        // file with a column per field. Responds with its `filename`,
+        // `content` and the `count` of submissions
+        async export(req) {
+          const formId = self.apos.launder.id(req.body._id)?.split(':')[0];
+          if (!formId) {
+            throw self.apos.error('invalid');
+          }
+          if (!self.apos.permission.can(req, 'view', self.__meta.name)) {
+            throw self.apos.error('forbidden');
+          }
+          const form = await self.apos.modules.form.find(req, {
+            aposDocId: formId
+          }).toObject();
+          const submissions = await self.find(req, { formIds: formId })
+            .sort({ createdAt: 1 })
+            .relationships(false)
+            .toArray();
+          return {
+            filename: `${form?.slug || 'form'}-submissions.csv`,
+            content: self.toCsv(form, submissions),
+            count: submissions.length
+          };
+        }
+      }
+    };
+  },
+  methods(self) {
+    return {
+      addFileFieldType() {
+        self.apos.schema.addFieldType({
+          name: 'formSubmissionFile',
+          vueComponent: 'InputFormSubmissionFile',
+          // Only set by `store`, never by editors
+          convert() {}
+        });
+      },
+
+      // Store the validated `values` of `form` posted from `pageUrl`
+      async store(req, form, values, pageUrl) {
+        const entries = [];
+        const files = [];
+        for (const field of form.formFields || []) {
+          const value = values[field._id];
+          if (field.fieldType === 'file') {
+            if (value) {
+              files.push({
+                _id: self.apos.util.generateId(),
+                fieldId: field._id,
+                label: field.label,
+                file: await self.storeFile(value.path, value.originalname, value.size)
+              });
+            }
+            continue;
+          }
+          entries.push({
+            _id: self.apos.util.generateId(),
+            fieldId: field._id,
+            label: field.label,
+            value: field.fieldType === 'checkbox'
+              ? (value ? 'Yes' : 'No')
+              : value || ''
+          });
+        }
+        const date = new Date().toISOString().slice(0, 10);
+        try {
+          return await self.insert(req, {
+            title: `${form.title} (${date})`,
+            _form: [ form ],
+            entries,
+            files,
+            pageUrl,
+            locale: form.aposLocale.split(':')[0]
+          }, { permissions: false });
+        } catch (e) {
+          await Promise.all(files.map(file => self.removeFile(file.file)));
+          throw e;
+        }
+      },
+
+      // Copy the file at `localPath` to the private storage. Resolves to
+      // the `_id`, `name` and `size` stored in the submission
+      async storeFile(localPath, name, size) {
+        const file = {
+          _id: self.apos.util.generateId(),
+          name,
+          size
+        };
+        await promisify(self.uploadfs.copyIn)(localPath, self.getFilePath(file));
+        return file;
+      },
+
+      async removeFile(file) {
+        try {
+          await promisify(self.uploadfs.remove)(self.getFilePath(file));
+        } catch (e) {
+          self.apos.util.warn(`Unable to remove the uploaded file ${file._id}`);
+        }
+      },
+
+      getFilePath(file) {
+        return `/form-submissions/${file._id}`;
+      },
+
+      // The download URL of an uploaded file, which asks for a login
+      getFileUrl(file) {
+        return `${self.apos.baseUrl || ''}${self.action}/file?id=${file._id}`;
+      },
+
+      // Uploaded files used to be public attachments. Move them to the
+      // private storage and remove the attachments
+      addPrivateFilesMigration() {
+        self.apos.migration.add('form-submission-private-files', async () => {
+          const attachments = self.apos.attachment;
+          const submissions = await self.apos.doc.db.find({
+            type: self.__meta.name,
+            'files.file.type': 'attachment'
+          }).project({ files: 1 }).toArray();
+          for (const submission of submissions) {
+            const files = [];
+            for (const item of submission.files) {
+              const attachment = item.file;
+              if (attachment?.type !== 'attachment') {
+                files.push(item);
+                continue;
+              }
+              const localPath = `${tmpdir()}/${self.apos.util.generateId()}`;
+              try {
+                await promisify(attachments.uploadfs.copyOut)(
+                  attachments.url(attachment, {
+                    uploadfsPath: true,
+                    size: 'original'
+                  }),
+                  localPath
+                );
+                files.push({
+                  ...item,
+                  file: await self.storeFile(
+                    localPath,
+                    `${attachment.name}.${attachment.extension}`,
+                    attachment.length
+                  )
+                });
+              } finally {
+                await unlink(localPath).catch(() => {});
+              }
+            }
+            await self.apos.doc.db.updateOne({ _id: submission._id }, {
+              $set: { files }
+            });
+            for (const item of submission.files) {
+              if (item.file?.type === 'attachment') {
+                await attachments.alterAttachment(item.file, 'remove');
+                await attachments.db.deleteOne({ _id: item.file._id });
+              }
+            }
+          }
+        });
+      },
+
+      // One column per field, in the order of the form, then the fields
+      // that were removed from it since
+      toCsv(form, submissions) {
+        const columns = new Map((form?.formFields || [])
+          .map(field => [ field._id, field.label ]));
+        for (const submission of submissions) {
+          for (const { fieldId, label } of [
+            ...submission.entries || [],
+            ...submission.files || []
+          ]) {
+            if (!columns.has(fieldId)) {
+              columns.set(fieldId, label);
+            }
+          }
+        }
+        const ids = [ ...columns.keys() ];
+        return toCsv([
+          [ 'Submitted', ...columns.values(), 'Page', 'Locale' ],
+          ...submissions.map(submission => {
+            const cells = new Map([
+              ...(submission.entries || [])
+                .map(entry => [ entry.fieldId, entry.value ]),
+              ...(submission.files || []).map(file => [
+                file.fieldId,
+                self.getFileUrl(file.file)
+              ])
+            ]);
+            return [
+              new Date(submission.createdAt).toISOString(),
+              ...ids.map(id => cells.get(id) ?? ''),
+              submission.pageUrl,
+              submission.locale
+            ];
+          })
+        ]);
+      }
+    };
+  }
+};
@@ -0,0 +1,27 @@
+export default {
+  extend: '@apostrophecms/widget-type',
+  options: {
+    label: 'Form',
+    icon: 'form-textbox',
+    description: 'A form built in the Forms manager, with its submissions stored in the CMS.'
+  },
+  icons: {
+    'form-textbox': 'FormTextbox'
+  },
+  fields: {
+    add: {
+      _form: {
+        type: 'relationship',
+        label: 'Form',
+        withType: 'form',
+        required: true,
+        max: 1
+      },
+      showTitle: {
+        type: 'boolean',
+        label: 'Show the Form Title',
+        def: true
+      }
+    }
+  }
+};
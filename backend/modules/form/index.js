@@ -0,0 +1,454 @@
+import { tmpdir } from 'node:os';
+import { unlink } from 'node:fs/promises';
+import multer from 'multer';
+import { requireFrontendRequest } from '../../lib/helpers/frontend-requests.js';
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Forms composed by editors and placed on pages with the form widget.
+// Visitors post them to the frontend, which checks the honeypot and
+// forwards them to the `submit` route. Only the frontend server can call
+// that route: it signs its requests with the external front key, see
+// `lib/helpers/frontend-requests.js`.
+//
+// The answers are validated against the form's fields and stored as
+// `form-submission` pieces, with the uploaded files kept private. When the
+// form has notifications turned on, the answers are also emailed through
+// the transport configured on `@apostrophecms/email`.
+export default {
+  extend: '@apostrophecms/piece-type',
+  options: {
+    label: 'Form',
+    pluralLabel: 'Forms',
+    // Upload limit of file fields, in megabytes
+    maxFileSize: 10,
+    // Files a submission can upload
+    maxFiles: 10,
+    // Posted by the frontend server, which has no CSRF cookie to send.
+    // The route relies on the frontend signature, not on browser
+    // credentials, so there is nothing for a forged request to use
+    csrfExceptions: [ 'submit' ]
+  },
+  fields(self) {
+    return {
+      add: {
+        formFields: {
+          type: 'array',
+          label: 'Fields',
+          titleField: 'label',
+          required: true,
+          fields: {
+            add: {
+              fieldType: {
+                type: 'select',
+                label: 'Type',
+                required: true,
+                def: 'text',
+                choices: [
+                  {
+                    label: 'Text',
+                    value: 'text'
+                  },
+                  {
+                    label: 'Email',
+                    value: 'email'
+                  },
+                  {
+                    label: 'Select',
+                    value: 'select'
+                  },
+                  {
+                    label: 'Checkbox',
+                    value: 'checkbox'
+                  },
+                  {
+                    label: 'Text Area',
+                    value: 'textarea'
+                  },
+                  {
+                    label: 'File Upload',
+                    value: 'file'
+                  }
+                ]
+              },
+              label: {
+                type: 'string',
+                label: 'Label',
+                required: true
+              },
+              help: {
+                type: 'string',
+                label: 'Help Text'
+              },
+              placeholder: {
+                type: 'string',
+                label: 'Placeholder',
+                if: {
+                  $or: [
+                    { fieldType: 'text' },
+                    { fieldType: 'email' },
+                    { fieldType: 'textarea' }
+                  ]
+                }
+              },
+              required: {
+                type: 'boolean',
+                label: 'Required',
+                help: 'A required checkbox has to be checked, like a consent',
+                def: false
+              },
+              choices: {
+                type: 'array',
+                label: 'Choices',
+                titleField: 'label',
+                inline: true,
+                if: { fieldType: 'select' },
+                fields: {
+                  add: {
+                    label: {
+                      type: 'string',
+                      label: 'Label',
+                      required: true
+                    }
+                  }
+                }
+              },
+              minLength: {
+                type: 'integer',
+                label: 'Minimum Length',
+                min: 0,
+                if: {
+                  $or: [
+                    { fieldType: 'text' },
+                    { fieldType: 'textarea' }
+                  ]
+                }
+              },
+              maxLength: {
+                type: 'integer',
+                label: 'Maximum Length',
+                min: 1,
+                if: {
+                  $or: [
+                    { fieldType: 'text' },
+                    { fieldType: 'textarea' }
+                  ]
+                }
+              },
+              pattern: {
+                type: 'string',
+                label: 'Pattern',
+                help: 'A regular expression the whole answer must match, e.g. [0-9]{5} for a zip code',
+                if: { fieldType: 'text' }
+              },
+              patternMessage: {
+                type: 'string',
+                label: 'Pattern Error Message',
+                def: 'Please match the requested format.',
+                if: { fieldType: 'text' }
+              },
+              accept: {
+                type: 'string',
+                label: 'Accepted File Extensions',
+                help: 'Comma separated, e.g. pdf, docx. Leave empty for any file type allowed by the CMS',
+                if: { fieldType: 'file' }
+              },
+              maxSize: {
+                type: 'integer',
+                label: 'Maximum File Size (MB)',
+                min: 1,
+                max: self.options.maxFileSize,
+                def: 5,
+                if: { fieldType: 'file' }
+              }
+            }
+          }
+        },
+        submitLabel: {
+          type: 'string',
+          label: 'Submit Button Label',
+          def: 'Send'
+        },
+        successMessage: {
+          type: 'string',
+          label: 'Success Message',
+          textarea: true,
+          def: 'Thank you, your message has been sent.'
+        },
+        notify: {
+          type: 'boolean',
+          label: 'Email Notifications',
+          help: 'Email each submission',
+          def: false
+        },
+        notifyEmails: {
+          type: 'string',
+          label: 'Recipients',
+          help: 'Comma separated email addresses',
+          required: true,
+          if: { notify: true }
+        },
+        notifySubject: {
+          type: 'string',
+          label: 'Subject',
+          def: 'New form submission',
+          if: { notify: true }
+        }
+      },
+      group: {
+        basics: {
+          label: 'Basics',
+          fields: [ 'title', 'formFields', 'submitLabel', 'successMessage' ]
+        },
+        notifications: {
+          label: 'Notifications',
+          fields: [ 'notify', 'notifyEmails', 'notifySubject' ]
+        }
+      }
+    };
+  },
+  init(self) {
+    self.addExportOperation();
+  },
+  handlers(self) {
+    return {
+      beforeSave: {
+        checkFields(req, doc) {
+          for (const field of doc.formFields || []) {
+            if (field.pattern && !self.getPattern(field.pattern)) {
+              throw self.apos.error('invalid', `The pattern of "${field.label}" is not a valid regular expression.`);
+            }
+          }
+          const invalid = self.getRecipients(doc).filter(email => !EMAIL.test(email));
+          if (doc.notify && invalid.length) {
+            throw self.apos.error('invalid', `Not an email address: ${invalid.join(', ')}`);
+          }
+        }
+      }
+    };
+  },
+  apiRoutes(self) {
+    return {
+      post: {
+        // Store the submission of the published form whose `_id` is
+        // posted, as multipart form data named after the `_id` of the
+        // form fields. Responds with the success message, or with an
+        // `invalid` error whose `errors` data gives a message per field
+        submit: [
+          requireFrontendRequest(self.apos),
+          self.upload(),
+          async function (req) {
+            try {
+              self.checkUploadError(req);
+              const form = await self.findForSubmission(req, req.body._id);
+              const { values, errors } = self.validate(form, req.body, req.files || []);
+              if (Object.keys(errors).length) {
+                throw self.apos.error('invalid', 'Please correct the highlighted fields.', {
+                  errors
+                });
+              }
+              const submission = await self.apos.modules['form-submission']
+                .store(req, form, values, self.apos.launder.string(req.body._page));
+              if (form.notify) {
+                await self.sendNotification(req, form, submission);
+              }
+              return {
+                message: form.successMessage
+              };
+            } finally {
+              await Promise.all((req.files || []).map(file => unlink(file.path)
+                .catch(() => {})));
+            }
+          }
+        ]
+      }
+    };
+  },
+  methods(self) {
+    return {
+      // Middleware parsing the posted form data. Files over the upload
+      // limits are left to `checkUploadError`, so they are reported like
+      // the other field errors rather than as a server error
+      upload() {
+        const parse = multer({
+          dest: tmpdir(),
+          limits: {
+            fileSize: self.options.maxFileSize * 1024 * 1024,
+            files: self.options.maxFiles
+          }
+        }).any();
+        return (req, res, next) => parse(req, res, err => {
+          if ([ 'LIMIT_FILE_SIZE', 'LIMIT_FILE_COUNT' ].includes(err?.code)) {
+            req.uploadError = err;
+            return next();
+          }
+          return next(err);
+        });
+      },
+
+      checkUploadError(req) {
+        const error = req.uploadError;
+        if (!error) {
+          return;
+        }
+        const message = error.code === 'LIMIT_FILE_SIZE'
+          ? `The file can't be larger than ${self.options.maxFileSize} MB.`
+          : `Please choose at most ${self.options.maxFiles} files.`;
+        throw self.apos.error('invalid', message, {
+          errors: error.field ? { [error.field]: message } : {}
+        });
+      },
+
+      async findForSubmission(req, _id) {
+        // Editors previewing a draft page post the draft of the form
+        _id = self.apos.launder.id(_id)?.replace(/:draft$/, ':published');
+        const locale = _id?.split(':')[1];
+        if (!_id?.endsWith(':published') || !self.apos.i18n.locales[locale]) {
+          throw self.apos.error('invalid');
+        }
+        const form = await self.find(req.clone({
+          locale,
+          mode: 'published'
+        }), { _id }).toObject();
+        if (!form) {
+          throw self.apos.error('notfound');
+        }
+        return form;
+      },
+
+      // Check the posted `body` and uploaded `files` against the fields
+      // of `form`. Returns the `values` to store by field `_id`, with the
+      // files to insert as attachments, and the `errors` by field `_id`
+      validate(form, body, files) {
+        const values = {};
+        const errors = {};
+        for (const field of form.formFields || []) {
+          const error = message => {
+            errors[field._id] = message;
+          };
+          if (field.fieldType === 'file') {
+            const file = files.find(file => file.fieldname === field._id);
+            if (!file || !file.size) {
+              if (field.required) {
+                error('Please choose a file.');
+              }
+              continue;
+            }
+            const extension = file.originalname.split('.').pop().toLowerCase();
+            const accepted = self.getAcceptedExtensions(field);
+            if (accepted.length && !accepted.includes(extension)) {
+              error(`Please choose a ${accepted.join(', ')} file.`);
+            } else if (!self.apos.attachment.getFileGroup(extension)) {
+              error('This type of file is not accepted.');
+            } else if (field.maxSize && file.size > field.maxSize * 1024 * 1024) {
+              error(`The file can't be larger than ${field.maxSize} MB.`);
+            } else {
+              values[field._id] = file;
+            }
+            continue;
+          }
+          if (field.fieldType === 'checkbox') {
+            const checked = self.apos.launder.boolean(body[field._id]);
+            if (field.required && !checked) {
+              error('Please check this box.');
+            }
+            values[field._id] = checked;
+            continue;
+          }
+          const value = self.apos.launder.string(body[field._id]).trim();
+          if (!value) {
+            if (field.required) {
+              error('Please fill in this field.');
+            }
+            continue;
+          }
+          if (field.fieldType === 'email' && !EMAIL.test(value)) {
+            error('Please enter an email address.');
+          } else if (
+            field.fieldType === 'select' &&
+            !(field.choices || []).some(choice => choice.label === value)
+          ) {
+            error('Please select one of the choices.');
+          } else if (field.minLength && value.length < field.minLength) {
+            error(`Please enter at least ${field.minLength} characters.`);
+          } else if (field.maxLength && value.length > field.maxLength) {
+            error(`Please enter at most ${field.maxLength} characters.`);
+          } else if (
+            field.fieldType === 'text' &&
+            field.pattern &&
+            !self.getPattern(field.pattern)?.test(value)
+          ) {
+            error(field.patternMessage || 'Please match the requested format.');
+          }
+          values[field._id] = value;
+        }
+        return {
+          values,
+          errors
+        };
+      },
+
+      // The regular expression of a pattern, matching the whole answer
+      // like the `pattern` attribute of inputs does
+      getPattern(pattern) {
+        try {
+          return new RegExp(`^(?:${pattern})$`, 'u');
+        } catch (e) {
+          return null;
+        }
+      },
+
+      getAcceptedExtensions(field) {
+        return (field.accept || '').split(',')
+          .map(extension => extension.trim().replace(/^\./, '').toLowerCase())
+          .filter(Boolean);
+      },
+
+      getRecipients(form) {
+        return (form.notifyEmails || '').split(',')
+          .map(email => email.trim())
+          .filter(Boolean);
+      },
+
+      // Email the answers of `submission` to the recipients of `form`.
+      // Replies go to the first email answer. A failure is logged, the
+      // submission is stored anyway
+      async sendNotification(req, form, submission) {
+        const emailField = (form.formFields || [])
+          .find(field => field.fieldType === 'email');
+        const replyTo = submission.entries
+          .find(entry => entry.fieldId === emailField?._id)?.value;
+        try {
+          await self.email(req, 'notification', {
+            form,
+            submission,
+            files: submission.files.map(file => ({
+              label: file.label,
+              name: file.file.name,
+              url: self.apos.modules['form-submission'].getFileUrl(file.file)
+            }))
+          }, {
+            to: self.getRecipients(form).join(', '),
+            subject: form.notifySubject || form.title,
+            ...replyTo && { replyTo }
+          });
+        } catch (e) {
+          self.apos.util.error(e);
+        }
+      },
+
+      addExportOperation() {
+        self.apos.doc.addContextOperation({
+          action: 'exportSubmissions',
+          context: 'update',
+          label: 'Export Submissions',
+          modal: 'FormSubmissionsExport',
+          conditions: [ 'canEdit' ],
+          if: {
+            type: self.__meta.name
+          }
+        });
+      }
+    };
+  }
+};
@@ -0,0 +1,236 @@
+import { fas } from '@fortawesome/free-solid-svg-icons';
+import { far } from '@fortawesome/free-regular-svg-icons';
+import { fab } from '@fortawesome/free-brands-svg-icons';
+import { requireFrontendRequest } from '../../lib/helpers/frontend-requests.js';
+
+// Adds the `icon` schema field type. Editors pick a Font Awesome icon from a
+// searchable grid, and the value is stored as `{ name, style }` with the
+// SVG `width`, `height` and `path` of the icon, which
+// `frontend/src/components/Icon.astro` renders. The frontend build asks the
+// `used` route for the icons of existing documents, to include them in its
+// icon subset.
+//
+// Field options:
+// - `styles`: icon styles editors can pick from, any of `solid`, `regular`
+//   and `brands`. Defaults to all three
+export default {
+  options: {
+    alias: 'iconField',
+    // Maximum number of icons returned by one search
+    searchLimit: 120
+  },
+  init(self) {
+    self.packs = {
+      solid: fas,
+      regular: far,
+      brands: fab
+    };
+    self.styles = Object.keys(self.packs);
+    // Search indexes by style, built on first use
+    self.indexes = {};
+    self.addFieldType();
+  },
+  apiRoutes(self) {
+    return {
+      get: {
+        // `/api/v1/icon-field/search?q=arrow&style=solid`
+        async search(req) {
+          if (!req.user) {
+            throw self.apos.error('forbidden');
+          }
+          const style = self.apos.launder.select(req.query.style, self.styles, 'solid');
+          const query = self.apos.launder.string(req.query.q);
+          return {
+            icons: self.search(style, query)
+          };
+        },
+        // `/api/v1/icon-field/used`, for the icon subset of the frontend
+        // build, see `frontend/src/lib/icon-subset.js`
+        used: [
+          requireFrontendRequest(self.apos),
+          async function(req) {
+            return {
+              icons: await self.getUsedIcons()
+            };
+          }
+        ]
+      }
+    };
+  },
+  methods(self) {
+    return {
+      addFieldType() {
+        self.apos.schema.addFieldType({
+          name: 'icon',
+          vueComponent: 'InputIcon',
+          async convert(req, field, data, destination) {
+            const icon = self.normalize(data[field.name]);
+            if (!icon) {
+              if (field.required) {
+                throw self.apos.error('required');
+              }
+              destination[field.name] = null;
+              return;
+            }
+            const found = self.getStyles(field).includes(icon.style) &&
+              self.getIcon(icon.name, icon.style);
+            if (!found) {
+              throw self.apos.error('invalid');
+            }
+            // Store the current name of icons picked by an alias, and the
+            // SVG so icons picked after the frontend build render too
+            destination[field.name] = {
+              name: found.name,
+              style: found.style,
+              width: found.width,
+              height: found.height,
+              path: found.path
+            };
+          },
+          isEmpty(field, value) {
+            return !value?.name;
+          },
+          validate(field, options, warn, fail) {
+            const valid = style => self.styles.includes(style);
+            if (field.styles && !field.styles.every(valid)) {
+              fail(`styles must be a list of ${self.styles.join(', ')}`);
+            }
+          }
+        });
+      },
+
+      // Values were plain solid icon names before the field type existed
+      normalize(value) {
+        const icon = typeof value === 'string'
+          ? {
+            name: value,
+            style: 'solid'
+          }
+          : value;
+        const name = self.apos.launder.string(icon?.name).trim().toLowerCase().replace(/^fa-/, '');
+        if (!name) {
+          return null;
+        }
+        return {
+          name,
+          style: self.apos.launder.select(icon.style, self.styles, 'solid')
+        };
+      },
+
+      // Names of the `icon` fields of all doc types and widgets, including
+      // those of array and object fields
+      getIconFieldNames() {
+        const names = new Set();
+        const collect = schema => {
+          for (const field of schema || []) {
+            if (field.type === 'icon') {
+              names.add(field.name);
+            }
+            collect(field.schema);
+          }
+        };
+        for (const module of Object.values(self.apos.modules)) {
+          collect(module.schema);
+        }
+        return names;
+      },
+
+      // Icons picked in the `icon` fields of all documents, drafts included
+      // so previews render them, as `{ name, style }`
+      async getUsedIcons() {
+        const names = self.getIconFieldNames();
+        const used = new Map();
+        const documents = self.apos.doc.db.find({}).project({
+          _originalWidgets: 0
+        });
+        for await (const doc of documents) {
+          self.apos.doc.walk(doc, (object, key, value) => {
+            if (!names.has(key) || Array.isArray(object)) {
+              return;
+            }
+            const icon = self.normalize(value);
+            const found = icon && self.getIcon(icon.name, icon.style);
+            if (found) {
+              used.set(`${found.style}:${found.name}`, {
+                name: found.name,
+                style: found.style
+              });
+            }
+          });
+        }
+        return [ ...used.values() ];
+      },
+
+      getStyles(field) {
+        return field.styles?.length ? field.styles : self.styles;
+      },
+
+      // Icons of a style by name and by their older alias names, like
+      // `search` for `magnifying-glass`
+      getIndex(style) {
+        if (!self.indexes[style]) {
+          const index = new Map();
+          for (const definition of Object.values(self.packs[style])) {
+            const [ , , aliases ] = definition.icon;
+            index.set(definition.iconName, definition);
+            for (const alias of aliases) {
+              if (typeof alias === 'string' && !index.has(alias)) {
+                index.set(alias, definition);
+              }
+            }
+          }
+          self.indexes[style] = index;
+        }
+        return self.indexes[style];
+      },
+
+      getIcon(name, style) {
+        const definition = self.getIndex(style).get(name);
+        return definition ? self.format(definition, style) : null;
+      },
+
+      format(definition, style) {
+        const [ width, height, aliases, , path ] = definition.icon;
+        return {
+          name: definition.iconName,
+          style,
+          label: definition.iconName.split('-').join(' '),
+          aliases: aliases.filter(alias => typeof alias === 'string'),
+          width,
+          height,
+          path: Array.isArray(path) ? path.join(' ') : path
+        };
+      },
+
+      // Icons whose name or alias contains every word of `query`, with
+      // exact and leading matches first
+      search(style, query) {
+        const words = query.toLowerCase().split(/[\s-]+/).filter(Boolean);
+        const seen = new Set();
+        const results = [];
+        for (const definition of self.getIndex(style).values()) {
+          if (seen.has(definition.iconName)) {
+            continue;
+          }
+          seen.add(definition.iconName);
+          const icon = self.format(definition, style);
+          const names = [ icon.name, ...icon.aliases ];
+          if (words.every(word => names.some(name => name.includes(word)))) {
+            results.push(icon);
+          }
+        }
+        const term = words.join('-');
+        const rank = icon => {
+          const names = [ icon.name, ...icon.aliases ];
+          if (names.includes(term)) {
+            return 0;
+          }
+          return names.some(name => name.startsWith(term)) ? 1 : 2;
+        };
+        return results
+          .sort((a, b) => rank(a) - rank(b) || a.name.localeCompare(b.name))
+          .slice(0, self.options.searchLimit);
+      }
+    };
+  }
+};
@@ -0,0 +1,287 @@
+import stubAdapter from '../../lib/translation-adapters/stub.js';
+import { findEditableDraft } from '../../lib/helpers/drafts.js';
+
+// Machine translation for the "Localize" action of pages and pieces. This
+// module is a provider of Apostrophe's automatic translation: when
+// "Translate content" is checked in the Localize dialog, the strings, rich
+// text and widget texts, like slide titles, of the localized draft are
+// translated from the source locale before it is saved. Texts are found
+// like the translation dashboard exports them, so `translate: false`
+// fields are left alone.
+//
+// The IDs of the translated texts are kept in `machineTranslation.fields`
+// and the document has a "Machine Translated" badge until an editor
+// approves each text with "Review Translation" in its context menu.
+//
+// Adapters connect to a translation service. An adapter is an object with:
+//
+// - `name`: unique name, chosen with the `adapter` option
+// - `label`: shown in the Localize dialog
+// - `languages`: the locale names it translates, or `null` for any
+// - `translate(texts, { source, target })`: an async function resolving to
+//   the translation of each of `texts`, in the same order. Texts have an
+//   `id`, a `text` and an `html` flag for rich text, whose markup must be
+//   kept. `source` and `target` are locale names
+//
+// Add adapters with `self.apos.machineTranslation.addAdapter(adapter)` in
+// the `init` of another module. Machine translation is off until an
+// adapter is chosen, with the `adapter` option or
+// `APOS_MACHINE_TRANSLATION_ADAPTER`. The built-in `stub` adapter prefixes
+// texts with the target locale, to try the workflow in development. It is
+// never used in production.
+export default {
+  options: {
+    alias: 'machineTranslation',
+    // Name of the adapter to translate with, `null` turns this off
+    adapter: process.env.APOS_MACHINE_TRANSLATION_ADAPTER || null
+  },
+  init(self) {
+    self.adapters = new Map();
+    // Drafts translated by the current localize requests
+    self.translated = new WeakSet();
+    self.addAdapter(stubAdapter);
+    self.addReviewOperation();
+    self.addIndicator();
+  },
+  handlers(self) {
+    return {
+      'apostrophe:modulesRegistered': {
+        // After every module had the chance to add its adapter
+        addProvider() {
+          if (!self.options.adapter) {
+            return;
+          }
+          if (self.options.adapter === 'stub' && process.env.NODE_ENV === 'production') {
+            self.apos.util.warn('The stub machine translation adapter is for development only, machine translation is off.');
+            return;
+          }
+          const adapter = self.getAdapter(self.options.adapter);
+          if (!adapter) {
+            throw new Error(`The machine translation adapter "${self.options.adapter}" is not registered.`);
+          }
+          self.apos.translation.addProvider(self, {
+            name: adapter.name,
+            label: adapter.label
+          });
+        }
+      },
+      '@apostrophecms/doc-type:beforeLocalize': {
+        // Texts copied from the source without translation, or over a
+        // previous translation, need no review
+        clearFlags(req, doc) {
+          if (!self.translated.has(doc)) {
+            delete doc.machineTranslation;
+            delete doc.machineTranslated;
+          }
+        }
+      }
+    };
+  },
+  apiRoutes(self) {
+    return {
+      get: {
+        // The machine translated texts of the draft whose `_id` is given,
+        // with the labels of the fields they are in and their current text
+        async review(req) {
+          const draft = await findEditableDraft(self.apos, req, req.query._id);
+          const schema = self.apos.doc.getManager(draft.type).schema;
+          const units = self.apos.translationStatus.getUnits(schema, draft);
+          return {
+            fields: self.getFlaggedIds(draft).flatMap(id => {
+              const unit = units.find(unit => unit.id === id);
+              const labels = self.getFieldLabels(schema, draft, id.split('.'));
+              return unit && labels
+                ? [ {
+                  id,
+                  labels,
+                  text: unit.html
+                    ? unit.source.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim()
+                    : unit.source
+                } ]
+                : [];
+            })
+          };
+        }
+      },
+      post: {
+        // Approve the machine translated texts of the draft whose `_id` is
+        // posted. Approves them all when `fields` is not given. Responds
+        // with the IDs of the texts left to approve
+        async approve(req) {
+          const draft = await findEditableDraft(self.apos, req, req.body._id);
+          const approved = Array.isArray(req.body.fields)
+            ? self.apos.launder.strings(req.body.fields)
+            : null;
+          const fields = approved
+            ? self.getFlaggedIds(draft).filter(id => !approved.includes(id))
+            : [];
+          const ids = [ draft._id, draft._id.replace(':draft', ':published') ];
+          await self.apos.doc.db.updateMany({ _id: { $in: ids } }, fields.length
+            ? { $set: { 'machineTranslation.fields': fields } }
+            : {
+              $unset: {
+                machineTranslation: 1,
+                machineTranslated: 1
+              }
+            });
+          return { fields };
+        }
+      }
+    };
+  },
+  methods(self) {
+    return {
+      addAdapter(adapter) {
+        if (!adapter?.name || typeof adapter.translate !== 'function') {
+          throw new Error('A machine translation adapter needs a name and a translate function.');
+        }
+        self.adapters.set(adapter.name, adapter);
+      },
+
+      getAdapter(name) {
+        return self.adapters.get(name);
+      },
+
+      // Provider method called by `@apostrophecms/translation` before the
+      // localized `draft` is saved. Translates its texts in place and flags
+      // them for review. When the service fails, the source texts are kept
+      // and the editor is told so
+      async translate(req, provider, draft, source, target) {
+        const adapter = self.getAdapter(provider);
+        const manager = self.apos.doc.getManager(draft.type);
+        const { translationStatus } = self.apos;
+        const units = translationStatus.getUnits(manager.schema, draft);
+        if (!adapter || !units.length) {
+          return;
+        }
+        let translations;
+        try {
+          translations = await adapter.translate(units.map(unit => ({
+            id: unit.id,
+            text: unit.source,
+            html: Boolean(unit.html)
+          })), {
+            source,
+            target
+          });
+        } catch (e) {
+          self.apos.util.error(e);
+          await self.apos.notify(
+            req,
+            `"${draft.title}" could not be translated by ${adapter.label}, its text was copied without translation.`,
+            {
+              type: 'danger',
+              dismiss: true
+            }
+          );
+          return;
+        }
+        const fields = units
+          .filter((unit, i) => typeof translations?.[i] === 'string' &&
+            translationStatus.applyUnit(manager.schema, draft, unit.id.split('.'), translations[i]))
+          .map(unit => unit.id);
+        self.translated.add(draft);
+        if (!fields.length) {
+          delete draft.machineTranslation;
+          delete draft.machineTranslated;
+          return;
+        }
+        draft.machineTranslation = {
+          adapter: adapter.name,
+          sourceLocale: source,
+          translatedAt: new Date(),
+          fields
+        };
+        draft.machineTranslated = true;
+      },
+
+      // Provider method telling the Localize dialog which locales can be
+      // translated from and to
+      async getSupportedLanguages(req, {
+        provider, source, target
+      }) {
+        const { languages } = self.getAdapter(provider) || { languages: [] };
+        const check = codes => (codes || languages || Object.keys(self.apos.i18n.locales))
+          .map(code => ({
+            code,
+            supported: !languages || languages.includes(code)
+          }));
+        return {
+          source: check(source),
+          target: check(target)
+        };
+      },
+
+      getFlaggedIds(draft) {
+        return draft.machineTranslation?.fields || [];
+      },
+
+      // The labels of the field, widget and array item leading to the text
+      // at `path` of `doc`, or null if it is not there anymore
+      getFieldLabels(schema, doc, path) {
+        const [ name, ...rest ] = path;
+        const field = schema.find(field => field.name === name);
+        if (!doc || !field) {
+          return null;
+        }
+        const labels = [ field.label || name ];
+        if (!rest.length) {
+          return labels;
+        }
+        let next;
+        if (field.type === 'area') {
+          const [ widgetId, ...widgetPath ] = rest;
+          const widget = doc[name]?.items?.find(item => item._id === widgetId);
+          const manager = widget && self.apos.area.getWidgetManager(widget.type);
+          if (!manager) {
+            return null;
+          }
+          labels.push(manager.options.label || widget.type);
+          if (self.apos.translationStatus.isRichText(widget)) {
+            return labels;
+          }
+          next = self.getFieldLabels(manager.schema, widget, widgetPath);
+        } else if (field.type === 'array') {
+          const [ itemId, ...itemPath ] = rest;
+          const index = (doc[name] || []).findIndex(item => item._id === itemId);
+          if (index === -1) {
+            return null;
+          }
+          labels.push(`#${index + 1}`);
+          next = self.getFieldLabels(field.schema, doc[name][index], itemPath);
+        } else if (field.type === 'object') {
+          next = self.getFieldLabels(field.schema, doc[name], rest);
+        }
+        return next && [ ...labels, ...next ];
+      },
+
+      addReviewOperation() {
+        self.apos.doc.addContextOperation({
+          action: 'reviewTranslation',
+          context: 'update',
+          label: 'Review Translation',
+          modal: 'MachineTranslationReview',
+          manuallyPublished: true,
+          conditions: [ 'canEdit' ],
+          if: {
+            machineTranslated: true
+          }
+        });
+      },
+
+      addIndicator() {
+        self.apos.schema.addManagerIndicator({
+          component: 'AposLabel',
+          props: {
+            label: 'Machine Translated',
+            tooltip: 'Review and approve the translation from the context menu',
+            modifiers: [ 'apos-is-warning' ]
+          },
+          if: {
+            machineTranslated: true
+          }
+        });
+      }
+    };
+  }
+};
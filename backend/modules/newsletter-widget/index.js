@@ -0,0 +1,16 @@
+import newsletterFields from '../../lib/schema-mixins/newsletter-fields.js';
+
+export default {
+  extend: '@apostrophecms/widget-type',
+  options: {
+    label: 'Newsletter Signup',
+    icon: 'email-newsletter',
+    description: 'An email field to subscribe to the newsletter, confirmed by email.'
+  },
+  icons: {
+    'email-newsletter': 'EmailNewsletter'
+  },
+  fields: {
+    add: newsletterFields
+  }
+};
@@ -0,0 +1,97 @@
+// Tells the Astro frontend to drop its cache of pages rendered for anonymous
+// visitors when content is published, unpublished or moved (see
+// `frontend/src/lib/page-cache.js`). Any document can appear on many pages,
+// through the navigation, listings and relationships, so the whole cache is
+// cleared.
+//
+// The frontend URLs are read from `APOS_FRONTEND_URLS`, comma separated,
+// so every frontend server can be reached. They default to the site's
+// `baseUrl`, otherwise to the Astro dev server.
+export default {
+  options: {
+    alias: 'pageCache',
+    // Milliseconds to wait for more changes, so a batch publish sends one
+    // request rather than one per document
+    delay: 500,
+    // Milliseconds before a frontend that does not answer is given up on
+    timeout: 5000
+  },
+  init(self) {
+    self.timer = null;
+  },
+  handlers(self) {
+    return {
+      '@apostrophecms/doc-type:afterPublish': {
+        invalidateAfterPublish() {
+          self.invalidate();
+        }
+      },
+      '@apostrophecms/doc-type:afterDelete': {
+        // Unpublishing and archiving delete the published version
+        invalidateAfterUnpublish(req, doc) {
+          if (doc.aposMode === 'published') {
+            self.invalidate();
+          }
+        }
+      },
+      '@apostrophecms/page-type:afterMove': {
+        invalidateAfterMove() {
+          self.invalidate();
+        }
+      },
+      'apostrophe:destroy': {
+        clearTimer() {
+          clearTimeout(self.timer);
+        }
+      }
+    };
+  },
+  methods(self) {
+    return {
+      getUrls() {
+        const urls = process.env.APOS_FRONTEND_URLS
+          ? process.env.APOS_FRONTEND_URLS.split(',')
+          : [ self.apos.baseUrl || 'http://localhost:4321' ];
+        return urls
+          .map(url => url.trim().replace(/\/+$/, ''))
+          .filter(Boolean)
+          .map(url => `${url}/api/page-cache/invalidate`);
+      },
+
+      // Clear the frontend caches once the current changes are done
+      invalidate() {
+        clearTimeout(self.timer);
+        self.timer = setTimeout(async () => {
+          self.timer = null;
+          try {
+            await self.send();
+          } catch (e) {
+            self.apos.util.error(e);
+          }
+        }, self.options.delay);
+      },
+
+      async send() {
+        const results = await Promise.allSettled(self.getUrls().map(async url => {
+          const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+              'apos-external-front-key': process.env.APOS_EXTERNAL_FRONT_KEY || ''
+            },
+            signal: AbortSignal.timeout(self.options.timeout)
+          });
+          if (!response.ok) {
+            throw new Error(`${url} answered ${response.status}`);
+          }
+        }));
+        for (const result of results) {
+          if (result.status === 'rejected') {
+            self.apos.util.warn(
+              `Could not clear the frontend page cache: ${result.reason.message}`
+            );
+          }
+        }
+      }
+    };
+  }
+};
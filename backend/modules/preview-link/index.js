@@ -0,0 +1,400 @@
+import { findEditableDraft } from '../../lib/helpers/drafts.js';
+import {
+  getSecret,
+  signToken,
+  verifyToken
+} from '../../lib/helpers/signed-tokens.js';
+
+// Expiring links to preview a draft page or article without a CMS account.
+// Editors create them with "Share Preview" in the document's context menu,
+// and admins revoke them from the "Preview Links" manager.
+//
+// A link adds `aposPreview=<token>` to the document URL. The token holds
+// the link ID and expiry date, signed with HMAC-SHA256. When it checks out,
+// the request is turned into one of Apostrophe's draft sharing requests,
+// so the draft is served as if it was published, and `req.data.preview`
+// tells the frontend to show the preview banner. Draft sharing needs a
+// share key on the draft, which the link adds when the draft has none.
+// The key is removed once the draft has no active link left: as soon as
+// the last one is revoked, archived or deleted, and on the next cleanup
+// when it expires. A key the editor added with Apostrophe's own "Share
+// Draft" is left alone.
+//
+// The signing secret is read from `APOS_PREVIEW_SECRET`, otherwise one is
+// generated and kept in the Apostrophe cache.
+export default {
+  extend: '@apostrophecms/piece-type',
+  options: {
+    label: 'Preview Link',
+    pluralLabel: 'Preview Links',
+    alias: 'previewLink',
+    quickCreate: false,
+    showCreate: false,
+    searchable: false,
+    localized: false,
+    versions: false,
+    editRole: 'admin',
+    publishRole: 'admin',
+    viewRole: 'admin',
+    // Days a link is valid for, offered when creating it
+    lifetimes: [ 1, 7, 30 ],
+    // How often, in milliseconds, the running site removes the share keys
+    // of drafts whose links have all expired. Set to `false` to rely on
+    // the `preview-link:cleanup` task from cron instead
+    cleanupInterval: 60 * 60 * 1000
+  },
+  fields: {
+    add: {
+      docId: {
+        type: 'string',
+        label: 'Document ID',
+        readOnly: true
+      },
+      url: {
+        type: 'string',
+        label: 'URL',
+        readOnly: true
+      },
+      expiresAt: {
+        type: 'dateAndTime',
+        label: 'Expires',
+        readOnly: true
+      },
+      createdBy: {
+        type: 'string',
+        label: 'Created By',
+        readOnly: true
+      },
+      revoked: {
+        type: 'boolean',
+        label: 'Revoked',
+        help: 'Revoked links show the published version instead of the draft'
+      }
+    },
+    group: {
+      basics: {
+        label: 'Basics',
+        fields: [ 'title', 'url', 'expiresAt', 'createdBy', 'revoked', 'docId' ]
+      }
+    }
+  },
+  columns: {
+    add: {
+      expiresAt: {
+        label: 'Expires',
+        component: 'AposCellDate'
+      },
+      createdBy: {
+        label: 'Created By',
+        component: 'AposCellBasic'
+      }
+    }
+  },
+  init(self) {
+    self.secret = null;
+    self.addSharePreviewOperation();
+    self.addRevokedIndicator();
+    self.addShareKeysMigration();
+  },
+  apiRoutes(self) {
+    return {
+      post: {
+        // Create a link to preview the draft whose `_id` is posted, valid
+        // for `days`. Responds with its URL, without the origin, and expiry
+        async create(req) {
+          const draft = await findEditableDraft(self.apos, req, req.body._id);
+          const days = self.apos.launder.select(
+            req.body.days,
+            self.options.lifetimes,
+            self.options.lifetimes[0]
+          );
+          if (!draft._url) {
+            throw self.apos.error('invalid', 'This document has no URL to preview.');
+          }
+          const expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+          const link = await self.insert(req, {
+            title: draft.title,
+            docId: draft._id,
+            url: draft._url,
+            expiresAt: expiresAt.toISOString(),
+            createdBy: req.user.title || req.user.username,
+            revoked: false
+          }, { permissions: false });
+          await self.ensureShareKey(draft._id, link);
+          const token = await self.sign(link._id, expiresAt);
+          const url = new URL(draft._url, 'http://localhost');
+          url.searchParams.set('aposPreview', token);
+          return {
+            url: /^https?:\/\//.test(draft._url)
+              ? url.href
+              : `${url.pathname}${url.search}`,
+            expiresAt: link.expiresAt
+          };
+        }
+      }
+    };
+  },
+  middleware(self) {
+    return {
+      sharePreview: {
+        // Before the login middleware, which logs editors out of draft
+        // sharing requests so they see what the stakeholder sees
+        before: '@apostrophecms/login',
+        async middleware(req, res, next) {
+          const token = req.query.aposPreview;
+          if (typeof token !== 'string') {
+            return next();
+          }
+          try {
+            const link = await self.verify(token);
+            const aposShareKey = link && await self.ensureShareKey(link.docId, link);
+            if (aposShareKey) {
+              req.query.aposShareId = link.docId;
+              req.query.aposShareKey = aposShareKey;
+              req.aposPreview = {
+                expiresAt: link.expiresAt
+              };
+            } else {
+              req.aposPreview = {
+                invalid: true
+              };
+            }
+          } catch (e) {
+            self.apos.util.error(e);
+          }
+          return next();
+        }
+      }
+    };
+  },
+  handlers(self) {
+    return {
+      afterSave: {
+        releaseRevokedShareKey(req, link) {
+          if (link.revoked || link.archived) {
+            return self.releaseShareKey(link.docId);
+          }
+        }
+      },
+      afterDelete: {
+        releaseDeletedShareKey(req, link) {
+          return self.releaseShareKey(link.docId);
+        }
+      },
+      'apostrophe:run': {
+        startCleanup(isTask) {
+          if (isTask || !self.options.cleanupInterval) {
+            return;
+          }
+          self.cleanupInterval = setInterval(() => {
+            self.releaseExpiredShareKeys().catch(self.apos.util.error);
+          }, self.options.cleanupInterval);
+        }
+      },
+      'apostrophe:destroy': {
+        stopCleanup() {
+          clearInterval(self.cleanupInterval);
+        }
+      },
+      '@apostrophecms/page:beforeSend': {
+        addPreview(req) {
+          if (req.aposPreview) {
+            req.data.preview = req.aposPreview;
+          }
+        }
+      }
+    };
+  },
+  tasks(self) {
+    return {
+      cleanup: {
+        usage: 'Remove the share keys of drafts whose preview links have all expired.\nRun this from cron, e.g. every hour, when the `cleanupInterval` option is false.',
+        async task() {
+          const count = await self.releaseExpiredShareKeys();
+          self.apos.util.log(`Removed the share keys of ${count} drafts.`);
+        }
+      }
+    };
+  },
+  extendMethods(self) {
+    return {
+      getBrowserData(_super, req) {
+        return {
+          ..._super(req),
+          lifetimes: self.options.lifetimes
+        };
+      }
+    };
+  },
+  methods(self) {
+    return {
+      addSharePreviewOperation() {
+        self.apos.doc.addContextOperation({
+          action: 'sharePreview',
+          context: 'update',
+          label: 'Share Preview',
+          modal: 'SharePreviewModal',
+          manuallyPublished: true,
+          hasUrl: true,
+          conditions: [ 'canEdit' ]
+        });
+      },
+
+      addRevokedIndicator() {
+        self.apos.schema.addManagerIndicator({
+          component: 'AposLabel',
+          props: {
+            label: 'Revoked',
+            tooltip: 'Shows the published version instead of the draft',
+            modifiers: [ 'apos-is-error' ]
+          },
+          if: {
+            type: self.__meta.name,
+            revoked: true
+          }
+        });
+      },
+
+      // Links used to leave their share key on the draft for good. Record
+      // the keys of the drafts they point to, then remove those no active
+      // link needs anymore
+      addShareKeysMigration() {
+        self.apos.migration.add('preview-link-share-keys', async () => {
+          const docIds = await self.apos.doc.db.distinct('docId', {
+            type: self.__meta.name
+          });
+          for (const docId of docIds) {
+            const draft = await self.apos.doc.db.findOne({ _id: docId }, {
+              projection: { aposShareKey: 1 }
+            });
+            if (draft?.aposShareKey) {
+              await self.apos.doc.db.updateMany({
+                type: self.__meta.name,
+                docId
+              }, {
+                $addToSet: { shareKeys: draft.aposShareKey }
+              });
+              await self.releaseShareKey(docId);
+            }
+          }
+        });
+      },
+
+      // The key of Apostrophe's draft sharing, which lets the draft whose
+      // `_id` is given be served to visitors who are not logged in. A key
+      // added for `link` is recorded on it, so it can be removed when the
+      // draft has no active link left. Resolves to `null` if the draft is
+      // gone
+      async ensureShareKey(_id, link) {
+        const draft = await self.apos.doc.db.findOne({ _id }, {
+          projection: { aposShareKey: 1 }
+        });
+        if (!draft || draft.aposShareKey) {
+          return draft?.aposShareKey || null;
+        }
+        const aposShareKey = self.apos.util.generateId();
+        await self.apos.doc.db.updateOne({ _id }, {
+          $set: { aposShareKey }
+        });
+        await self.apos.doc.db.updateOne({ _id: link._id }, {
+          $addToSet: { shareKeys: aposShareKey }
+        });
+        return aposShareKey;
+      },
+
+      // Remove the share keys the links of the draft `docId` added, unless
+      // one of them is still active
+      async releaseShareKey(docId) {
+        const now = new Date().toISOString();
+        const active = await self.apos.doc.db.findOne({
+          type: self.__meta.name,
+          docId,
+          archived: { $ne: true },
+          revoked: { $ne: true },
+          expiresAt: { $gt: now }
+        }, {
+          projection: { _id: 1 }
+        });
+        if (active) {
+          return false;
+        }
+        const links = await self.apos.doc.db.find({
+          type: self.__meta.name,
+          docId,
+          shareKeys: { $exists: true }
+        }, {
+          projection: { shareKeys: 1 }
+        }).toArray();
+        if (!links.length) {
+          return false;
+        }
+        await self.apos.doc.db.updateOne({
+          _id: docId,
+          aposShareKey: { $in: links.flatMap(link => link.shareKeys) }
+        }, {
+          $unset: { aposShareKey: 1 }
+        });
+        await self.apos.doc.db.updateMany({
+          _id: { $in: links.map(link => link._id) }
+        }, {
+          $unset: { shareKeys: 1 }
+        });
+        return true;
+      },
+
+      // Release the share keys of the drafts whose links have expired.
+      // Resolves to the number of drafts whose keys were removed
+      async releaseExpiredShareKeys() {
+        const docIds = await self.apos.doc.db.distinct('docId', {
+          type: self.__meta.name,
+          shareKeys: { $exists: true },
+          expiresAt: { $lte: new Date().toISOString() }
+        });
+        let count = 0;
+        for (const docId of docIds) {
+          if (await self.releaseShareKey(docId)) {
+            count++;
+          }
+        }
+        return count;
+      },
+
+      async getSecret() {
+        if (!self.secret) {
+          self.secret = await getSecret(
+            self.apos,
+            'preview-link',
+            process.env.APOS_PREVIEW_SECRET
+          );
+        }
+        return self.secret;
+      },
+
+      async sign(id, expiresAt) {
+        return signToken({
+          id,
+          exp: expiresAt.getTime()
+        }, await self.getSecret());
+      },
+
+      // The link of a token whose signature is valid, if it has not
+      // expired or been revoked
+      async verify(token) {
+        const payload = verifyToken(token, await self.getSecret());
+        if (!payload?.exp) {
+          return null;
+        }
+        const link = await self.apos.doc.db.findOne({
+          _id: payload.id,
+          type: self.__meta.name,
+          archived: { $ne: true },
+          revoked: { $ne: true }
+        });
+        if (!link || !(new Date(link.expiresAt) > new Date())) {
+          return null;
+        }
+        return link;
+      }
+    };
+  }
+};
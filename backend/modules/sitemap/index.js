@@ -0,0 +1,181 @@
+import { escapeXml } from '../../lib/helpers/xml.js';
+
+// Serves `/sitemap.xml`, a sitemap index pointing to one sitemap per locale
+// at `/sitemaps/<locale>.xml`. Each entry has its `lastmod` date and
+// hreflang alternates for the same document in the other locales.
+export default {
+  options: {
+    alias: 'sitemap',
+    // Piece types listed in the sitemap. Pieces are only included when
+    // they have a URL, i.e. a piece page for the type exists
+    pieceTypes: [ 'article', 'author' ],
+    // Seconds the sitemaps may be cached by browsers and proxies
+    maxAge: 3600
+  },
+  routes(self) {
+    return {
+      get: {
+        async '/sitemap.xml'(req, res) {
+          try {
+            return self.send(res, await self.renderIndex(req));
+          } catch (e) {
+            self.apos.util.error(e);
+            return res.status(500).send('Error generating sitemap');
+          }
+        },
+        async '/sitemaps/:locale.xml'(req, res) {
+          const locale = req.params.locale;
+          if (!self.apos.i18n.locales[locale]) {
+            return res.status(404).send('Not Found');
+          }
+          try {
+            return self.send(res, await self.renderLocale(req, locale));
+          } catch (e) {
+            self.apos.util.error(e);
+            return res.status(500).send('Error generating sitemap');
+          }
+        }
+      }
+    };
+  },
+  methods(self) {
+    return {
+      send(res, xml) {
+        res.set('Content-Type', 'application/xml; charset=utf-8');
+        res.set('Cache-Control', `public, max-age=${self.options.maxAge}`);
+        return res.send(xml);
+      },
+
+      absolute(req, url) {
+        return /^https?:\/\//.test(url) ? url : `${req.baseUrl || ''}${url}`;
+      },
+
+      getLastmod(date) {
+        return date ? new Date(date).toISOString() : null;
+      },
+
+      // An anonymous, published-mode request for `locale`, so only
+      // documents the public can see are listed
+      getLocaleReq(req, locale) {
+        return req.clone({
+          locale,
+          mode: 'published',
+          user: null
+        });
+      },
+
+      // Find the public pages and pieces of one locale, keyed by
+      // `aposDocId`, as `{ url, lastmod }`
+      async getLocaleEntries(req, locale) {
+        const localeReq = self.getLocaleReq(req, locale);
+        const entries = new Map();
+        const criteria = {
+          seoRobots: { $ne: 'noindex' }
+        };
+        const project = {
+          aposDocId: 1,
+          updatedAt: 1,
+          _url: 1
+        };
+        const queries = [
+          self.apos.page.find(localeReq, criteria)
+        ];
+        for (const type of self.options.pieceTypes) {
+          const module = self.apos.modules[type];
+          if (!module) {
+            continue;
+          }
+          const query = module.find(localeReq, criteria);
+          // Only list articles once their publication date has arrived
+          queries.push(query.builders.live ? query.live(true) : query);
+        }
+        for (const query of queries) {
+          const docs = await query
+            .project(project)
+            .relationships(false)
+            .areas(false)
+            .toArray();
+          for (const doc of docs) {
+            if (!doc._url) {
+              continue;
+            }
+            entries.set(doc.aposDocId, {
+              url: self.absolute(localeReq, doc._url),
+              lastmod: self.getLastmod(doc.updatedAt)
+            });
+          }
+        }
+        return entries;
+      },
+
+      async renderIndex(req) {
+        const sitemaps = [];
+        for (const locale of Object.keys(self.apos.i18n.locales)) {
+          const latest = await self.apos.doc.db.findOne(
+            { aposLocale: `${locale}:published` },
+            {
+              sort: { updatedAt: -1 },
+              projection: { updatedAt: 1 }
+            }
+          );
+          if (!latest) {
+            continue;
+          }
+          sitemaps.push([
+            '<sitemap>',
+            `<loc>${escapeXml(`${req.baseUrlWithPrefix}/sitemaps/${locale}.xml`)}</loc>`,
+            `<lastmod>${self.getLastmod(latest.updatedAt)}</lastmod>`,
+            '</sitemap>'
+          ].join(''));
+        }
+        return [
+          '<?xml version="1.0" encoding="UTF-8"?>',
+          '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+          ...sitemaps,
+          '</sitemapindex>'
+        ].join('\n');
+      },
+
+      async renderLocale(req, locale) {
+        const { defaultLocale } = self.apos.i18n;
+        const byLocale = {};
+        for (const name of Object.keys(self.apos.i18n.locales)) {
+          byLocale[name] = await self.getLocaleEntries(req, name);
+        }
+        const urls = [];
+        for (const [ aposDocId, entry ] of byLocale[locale]) {
+          const alternates = Object.entries(byLocale)
+            .filter(([ , entries ]) => entries.has(aposDocId))
+            .map(([ name, entries ]) => ({
+              hreflang: name,
+              href: entries.get(aposDocId).url
+            }));
+          const fallback = byLocale[defaultLocale].get(aposDocId);
+          if (alternates.length > 1 && fallback) {
+            alternates.push({
+              hreflang: 'x-default',
+              href: fallback.url
+            });
+          }
+          urls.push([
+            '<url>',
+            `<loc>${escapeXml(entry.url)}</loc>`,
+            entry.lastmod ? `<lastmod>${entry.lastmod}</lastmod>` : '',
+            ...(alternates.length > 1
+              ? alternates.map(({ hreflang, href }) =>
+                `<xhtml:link rel="alternate" hreflang="${escapeXml(hreflang)}" href="${escapeXml(href)}"/>`
+              )
+              : []),
+            '</url>'
+          ].join(''));
+        }
+        return [
+          '<?xml version="1.0" encoding="UTF-8"?>',
+          '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+          ...urls,
+          '</urlset>'
+        ].join('\n');
+      }
+    };
+  }
+};
@@ -0,0 +1,174 @@
+// Tells incremental static builds of the frontend which documents were
+// published since the previous build (see
+// `frontend/src/lib/static-export.js`), so only their pages are rendered
+// again.
+export default {
+  options: {
+    alias: 'staticExport',
+    // Fields of the documents that other documents of their type show,
+    // like the title and image of suggested related articles. As the
+    // pages suggesting a document can't be traced back to it, publishing
+    // a change to one of these fields renders everything again
+    sharedFields: {
+      article: [
+        'title',
+        'excerpt',
+        'publishDate',
+        'heroImageIds',
+        'categoryIds',
+        'tagsIds',
+        'authorIds'
+      ]
+    }
+  },
+  apiRoutes(self) {
+    return {
+      get: {
+        // `/api/v1/static-export/changes?since=2026-05-01T10:00:00.000Z`
+        async changes(req) {
+          if (!self.apos.url.isExternalFront(req)) {
+            throw self.apos.error('forbidden');
+          }
+          const since = new Date(self.apos.launder.string(req.query.since));
+          if (Number.isNaN(since.getTime())) {
+            throw self.apos.error('invalid', 'The since parameter must be a date.');
+          }
+          return self.getChanges(since);
+        }
+      }
+    };
+  },
+  methods(self) {
+    return {
+      // Returns `full: true` when the global settings or a page changed, as
+      // they show up on every page through the header, footer and
+      // navigation, or when a shared field changed (see the `sharedFields`
+      // option). Otherwise returns the `aposDocId`s of the changed
+      // documents, of the documents they relate to, like the author of an
+      // article, of the documents relating to them, like the articles of a
+      // category, and of the index pages listing all of these
+      async getChanges(since) {
+        const storage = self.getRelationshipStorage();
+        const projection = {
+          type: 1,
+          slug: 1,
+          aposDocId: 1,
+          lastPublishedAt: 1
+        };
+        for (const name of storage) {
+          projection[name] = 1;
+        }
+        for (const name of Object.values(self.options.sharedFields).flat()) {
+          projection[name] = 1;
+        }
+        const docs = await self.apos.doc.db.find({
+          aposMode: 'published',
+          $or: [
+            { lastPublishedAt: { $gt: since } },
+            { updatedAt: { $gt: since } }
+          ]
+        }).project(projection).toArray();
+        const full = docs.some(doc =>
+          doc.type === '@apostrophecms/global' || self.apos.page.isPage(doc)
+        ) || await self.hasSharedChanges(docs, since);
+        if (full) {
+          return {
+            full,
+            docIds: []
+          };
+        }
+        const docIds = new Set();
+        const types = new Set();
+        for (const doc of docs) {
+          docIds.add(doc.aposDocId);
+          types.add(doc.type);
+          for (const name of storage) {
+            for (const id of doc[name] || []) {
+              docIds.add(id);
+            }
+          }
+        }
+        for (const doc of await self.getReferringDocs(storage, docs)) {
+          docIds.add(doc.aposDocId);
+          types.add(doc.type);
+        }
+        for (const id of await self.getIndexPageIds([ ...types ])) {
+          docIds.add(id);
+        }
+        return {
+          full,
+          docIds: [ ...docIds ]
+        };
+      },
+
+      // Whether a changed document has a shared field that differs from its
+      // previous publication. When it was published several times since
+      // `since`, or for the first time, its state at the previous build
+      // is unknown and it counts as changed
+      async hasSharedChanges(docs, since) {
+        for (const doc of docs) {
+          const fields = self.options.sharedFields[doc.type];
+          if (!fields?.length || !(doc.lastPublishedAt > since)) {
+            continue;
+          }
+          const previous = await self.apos.doc.db.findOne({
+            _id: doc._id.replace(':published', ':previous')
+          });
+          if (!previous || !(previous.lastPublishedAt <= since)) {
+            return true;
+          }
+          const changed = fields.some(name => (
+            JSON.stringify(doc[name] ?? null) !== JSON.stringify(previous[name] ?? null)
+          ));
+          if (changed) {
+            return true;
+          }
+        }
+        return false;
+      },
+
+      // The published documents relating to `docs`, like the articles
+      // pinning one of them as related
+      async getReferringDocs(storage, docs) {
+        if (!storage.length || !docs.length) {
+          return [];
+        }
+        const ids = docs.map(doc => doc.aposDocId);
+        return self.apos.doc.db.find({
+          aposMode: 'published',
+          $or: storage.map(name => ({ [name]: { $in: ids } }))
+        }).project({
+          type: 1,
+          aposDocId: 1
+        }).toArray();
+      },
+
+      // Properties that hold relationship ids, like `authorIds`
+      getRelationshipStorage() {
+        const names = new Set();
+        for (const manager of Object.values(self.apos.doc.managers)) {
+          for (const field of manager.schema || []) {
+            if (field.type === 'relationship' && field.idsStorage) {
+              names.add(field.idsStorage);
+            }
+          }
+        }
+        return [ ...names ];
+      },
+
+      // The `aposDocId`s of the pages listing pieces of `types`
+      async getIndexPageIds(types) {
+        const pageTypes = Object.values(self.apos.doc.managers)
+          .filter(manager => types.includes(manager.pieces?.name))
+          .map(manager => manager.name);
+        if (!pageTypes.length) {
+          return [];
+        }
+        return self.apos.doc.db.distinct('aposDocId', {
+          type: { $in: pageTypes },
+          aposMode: 'published'
+        });
+      }
+    };
+  }
+};
@@ -0,0 +1,548 @@
+import { toCsv } from '../../lib/helpers/csv.js';
+import { requireFrontendRequest } from '../../lib/helpers/frontend-requests.js';
+import {
+  getSecret,
+  signToken,
+  verifyToken
+} from '../../lib/helpers/signed-tokens.js';
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// The kind of notice shown for each `newsletter` query parameter value,
+// also the key of its message in the `newsletter` namespace
+const NOTICES = {
+  confirm: 'info',
+  unsubscribe: 'info',
+  pending: 'success',
+  confirmed: 'success',
+  unsubscribed: 'success',
+  invalidLink: 'danger',
+  invalidEmail: 'danger',
+  error: 'danger'
+};
+
+// The notices asking to confirm the action of an email link, with the key
+// of their button label
+const PROMPTS = {
+  confirm: 'confirmButton',
+  unsubscribe: 'unsubscribeLink'
+};
+
+// Newsletter subscribers, who sign up with the newsletter widget or the
+// footer signup. Visitors post their email address to the frontend, which
+// checks the honeypot and forwards it to the `subscribe` route. Only the
+// frontend server can call that route: it signs its requests with the
+// external front key, see `lib/helpers/frontend-requests.js`.
+//
+// Signing up is a double opt-in: the subscriber is `pending` until they
+// follow the confirmation link emailed to them, in the locale of the page
+// they signed up on. Confirmed subscribers get a welcome email with an
+// unsubscribe link, which also works as a one-click unsubscribe for mail
+// clients. Both links carry a token signed with HMAC-SHA256, with the
+// secret read from `APOS_NEWSLETTER_SECRET`, otherwise generated and kept
+// in the Apostrophe cache. Confirmation links expire and only the latest
+// one works. The links end on the home page of the subscriber's locale,
+// where `req.data.newsletter` holds the notice to show. Following a link
+// changes nothing by itself, since mail scanners and link prefetchers
+// follow them too: the notice asks to confirm the action with a button,
+// which posts the token back.
+//
+// Admins export subscribers to CSV from the manager's utility menu.
+export default {
+  extend: '@apostrophecms/piece-type',
+  options: {
+    label: 'Subscriber',
+    pluralLabel: 'Subscribers',
+    quickCreate: false,
+    showCreate: false,
+    searchable: false,
+    localized: false,
+    versions: false,
+    editRole: 'admin',
+    publishRole: 'admin',
+    viewRole: 'admin',
+    sort: { createdAt: -1 },
+    // Days a confirmation link is valid for
+    confirmationDays: 7,
+    // Minutes before a pending subscriber signing up again is sent
+    // another confirmation email
+    resendDelay: 10,
+    // `subscribe` is posted by the frontend server, which signs its
+    // requests, `confirm` and `unsubscribe` by the buttons of the notices
+    // and by mail clients, with the signed token of the link. None relies
+    // on browser credentials
+    csrfExceptions: [ 'subscribe', 'confirm', 'unsubscribe' ]
+  },
+  fields: {
+    add: {
+      title: {
+        type: 'string',
+        label: 'Email',
+        required: true,
+        readOnly: true
+      },
+      status: {
+        type: 'select',
+        label: 'Status',
+        def: 'pending',
+        choices: [
+          {
+            label: 'Pending',
+            value: 'pending'
+          },
+          {
+            label: 'Confirmed',
+            value: 'confirmed'
+          },
+          {
+            label: 'Unsubscribed',
+            value: 'unsubscribed'
+          }
+        ]
+      },
+      locale: {
+        type: 'string',
+        label: 'Locale',
+        readOnly: true
+      },
+      pageUrl: {
+        type: 'string',
+        label: 'Signed Up On',
+        readOnly: true
+      },
+      confirmationSentAt: {
+        type: 'dateAndTime',
+        label: 'Confirmation Sent',
+        readOnly: true
+      },
+      confirmedAt: {
+        type: 'dateAndTime',
+        label: 'Confirmed',
+        readOnly: true
+      },
+      unsubscribedAt: {
+        type: 'dateAndTime',
+        label: 'Unsubscribed',
+        readOnly: true
+      }
+    },
+    group: {
+      basics: {
+        label: 'Basics',
+        fields: [ 'title', 'status', 'locale' ]
+      },
+      details: {
+        label: 'Details',
+        fields: [ 'pageUrl', 'confirmationSentAt', 'confirmedAt', 'unsubscribedAt' ]
+      }
+    }
+  },
+  columns: {
+    add: {
+      status: {
+        label: 'Status',
+        component: 'AposCellBasic'
+      },
+      locale: {
+        label: 'Locale',
+        component: 'AposCellBasic'
+      },
+      createdAt: {
+        label: 'Signed Up',
+        component: 'AposCellDate'
+      }
+    }
+  },
+  filters: {
+    add: {
+      status: {
+        label: 'Status'
+      }
+    }
+  },
+  utilityOperations: {
+    add: {
+      exportSubscribers: {
+        label: 'Export CSV',
+        canEdit: true,
+        modalOptions: {
+          modal: 'SubscribersExport'
+        }
+      }
+    }
+  },
+  init(self) {
+    self.secret = null;
+  },
+  handlers(self) {
+    return {
+      '@apostrophecms/page:beforeSend': {
+        addNewsletterNotice(req) {
+          const status = self.apos.launder.select(
+            req.query.newsletter,
+            Object.keys(NOTICES)
+          );
+          if (status) {
+            req.data.newsletter = {
+              status,
+              type: NOTICES[status],
+              message: req.t(`newsletter:${status}`),
+              ...PROMPTS[status] && {
+                action: {
+                  url: `${self.action}/${status}`,
+                  token: self.apos.launder.string(req.query.token),
+                  label: req.t(`newsletter:${PROMPTS[status]}`)
+                }
+              }
+            };
+          }
+        }
+      }
+    };
+  },
+  apiRoutes(self) {
+    return {
+      post: {
+        // Sign up the posted `email` from the page at `_page`, whose
+        // locale is the subscriber's. Responds with the message to show,
+        // the same whether the address was already subscribed or not
+        subscribe: [
+          requireFrontendRequest(self.apos),
+          async function (req) {
+            const pageUrl = self.apos.launder.string(req.body._page);
+            const localeReq = self.getLocaleReq(
+              req,
+              self.getLocaleFromPath(pageUrl)
+            );
+            const email = self.apos.launder.string(req.body.email)
+              .trim()
+              .toLowerCase();
+            if (!EMAIL.test(email) || email.length > 254) {
+              throw self.apos.error(
+                'invalid',
+                localeReq.t('newsletter:invalidEmail')
+              );
+            }
+            await self.addSubscriber(localeReq, email, pageUrl);
+            return {
+              message: localeReq.t('newsletter:pending')
+            };
+          }
+        ],
+
+        // The subscribers as a CSV file, only the confirmed ones unless
+        // `status` is `all`. Responds with its `filename`, `content` and
+        // the `count` of subscribers
+        async export(req) {
+          if (!self.apos.permission.can(req, 'view', self.__meta.name)) {
+            throw self.apos.error('forbidden');
+          }
+          const status = self.apos.launder.select(
+            req.body.status,
+            [ 'confirmed', 'all' ],
+            'confirmed'
+          );
+          const subscribers = await self.find(req, status === 'all' ? {} : { status })
+            .sort({ createdAt: 1 })
+            .toArray();
+          return {
+            filename: `subscribers-${new Date().toISOString().slice(0, 10)}.csv`,
+            content: self.toCsv(subscribers),
+            count: subscribers.length
+          };
+        }
+      }
+    };
+  },
+  routes(self) {
+    return {
+      get: {
+        // The links of the emails, sent to the home page where the notice
+        // asks to confirm the action
+        confirm(req, res) {
+          return self.redirectToPrompt(req, res, 'confirm');
+        },
+        unsubscribe(req, res) {
+          return self.redirectToPrompt(req, res, 'unsubscribe');
+        }
+      },
+      post: {
+        // The button of the confirmation notice
+        async confirm(req, res) {
+          try {
+            const subscriber = await self.confirm(req, req.body.token);
+            return self.redirectWithNotice(res, subscriber, subscriber ? 'confirmed' : 'invalidLink');
+          } catch (e) {
+            self.apos.util.error(e);
+            return self.redirectWithNotice(res, null, 'error');
+          }
+        },
+        // The button of the unsubscribe notice, with the token in the
+        // body, or the one-click unsubscribe of mail clients, per RFC 8058,
+        // with the token of the link
+        async unsubscribe(req, res) {
+          const prompted = typeof req.body.token === 'string';
+          try {
+            const subscriber = await self.unsubscribe(
+              req,
+              prompted ? req.body.token : req.query.token
+            );
+            if (prompted) {
+              return self.redirectWithNotice(res, subscriber, subscriber ? 'unsubscribed' : 'invalidLink');
+            }
+            return res.status(subscriber ? 200 : 400).send({});
+          } catch (e) {
+            self.apos.util.error(e);
+            return prompted
+              ? self.redirectWithNotice(res, null, 'error')
+              : res.status(500).send({});
+          }
+        }
+      }
+    };
+  },
+  methods(self) {
+    return {
+      // Sign up `email` as a pending subscriber in the locale of `req` and
+      // email them the confirmation link. Confirmed subscribers are left
+      // alone, and pending ones are only sent another link after
+      // `resendDelay`, so the form can't be used to flood an inbox
+      async addSubscriber(req, email, pageUrl) {
+        const existing = await self.find(req, { title: email })
+          .permission(false)
+          .toObject();
+        if (existing?.status === 'confirmed') {
+          return existing;
+        }
+        const sentAt = existing?.status === 'pending' && new Date(existing.confirmationSentAt);
+        if (sentAt && Date.now() - sentAt < self.options.resendDelay * 60 * 1000) {
+          return existing;
+        }
+        const fields = {
+          status: 'pending',
+          locale: req.locale,
+          pageUrl,
+          confirmationSentAt: new Date().toISOString()
+        };
+        const subscriber = existing
+          ? await self.update(req, {
+            ...existing,
+            ...fields
+          }, { permissions: false })
+          : await self.insert(req, {
+            title: email,
+            ...fields
+          }, { permissions: false });
+        await self.sendConfirmation(req, subscriber);
+        return subscriber;
+      },
+
+      async sendConfirmation(req, subscriber) {
+        const sent = new Date(subscriber.confirmationSentAt).getTime();
+        const token = await self.sign({
+          id: subscriber._id,
+          action: 'confirm',
+          sent,
+          exp: sent + self.options.confirmationDays * 24 * 60 * 60 * 1000
+        });
+        await self.email(req, 'confirm', {
+          site: await self.getSiteTitle(req),
+          url: self.getActionUrl('confirm', token),
+          days: self.options.confirmationDays
+        }, {
+          to: subscriber.title,
+          subject: req.t('newsletter:confirmSubject')
+        });
+      },
+
+      // Welcome a confirmed subscriber, with the unsubscribe link. A
+      // failure is logged, the subscription is confirmed anyway
+      async sendWelcome(req, subscriber) {
+        const url = await self.getUnsubscribeUrl(subscriber);
+        try {
+          await self.email(req, 'welcome', {
+            site: await self.getSiteTitle(req),
+            email: subscriber.title,
+            url
+          }, {
+            to: subscriber.title,
+            subject: req.t('newsletter:welcomeSubject'),
+            list: {
+              unsubscribe: url
+            },
+            headers: {
+              'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+            }
+          });
+        } catch (e) {
+          self.apos.util.error(e);
+        }
+      },
+
+      // The subscriber of a valid confirmation `token`, once confirmed.
+      // Following the link again is fine, following it after
+      // unsubscribing is not
+      async confirm(req, token) {
+        const payload = await self.verify(token);
+        const subscriber = payload?.action === 'confirm' &&
+          await self.findSubscriber(req, payload.id);
+        if (
+          !subscriber ||
+          new Date(subscriber.confirmationSentAt).getTime() !== payload.sent
+        ) {
+          return null;
+        }
+        if (subscriber.status === 'confirmed') {
+          return subscriber;
+        }
+        if (subscriber.status !== 'pending') {
+          return null;
+        }
+        const confirmed = await self.update(req, {
+          ...subscriber,
+          status: 'confirmed',
+          confirmedAt: new Date().toISOString()
+        }, { permissions: false });
+        await self.sendWelcome(self.getLocaleReq(req, confirmed.locale), confirmed);
+        return confirmed;
+      },
+
+      // The subscriber of a valid unsubscribe `token`, once unsubscribed
+      async unsubscribe(req, token) {
+        const payload = await self.verify(token);
+        const subscriber = payload?.action === 'unsubscribe' &&
+          await self.findSubscriber(req, payload.id);
+        if (!subscriber) {
+          return null;
+        }
+        if (subscriber.status === 'unsubscribed') {
+          return subscriber;
+        }
+        return self.update(req, {
+          ...subscriber,
+          status: 'unsubscribed',
+          unsubscribedAt: new Date().toISOString()
+        }, { permissions: false });
+      },
+
+      // The link to include in newsletters, valid until the subscriber
+      // unsubscribes
+      async getUnsubscribeUrl(subscriber) {
+        return self.getActionUrl('unsubscribe', await self.sign({
+          id: subscriber._id,
+          action: 'unsubscribe'
+        }));
+      },
+
+      getActionUrl(action, token) {
+        return `${self.apos.baseUrl || 'http://localhost:4321'}${self.action}/${action}?token=${token}`;
+      },
+
+      findSubscriber(req, _id) {
+        return self.find(req, { _id: self.apos.launder.id(_id) })
+          .permission(false)
+          .toObject();
+      },
+
+      // The locale whose prefix the path starts with, otherwise the
+      // default locale
+      getLocaleFromPath(path) {
+        const pathname = path.split(/[?#]/)[0];
+        const [ locale ] = Object.entries(self.apos.i18n.locales)
+          .find(([ , { prefix } ]) => prefix && (
+            pathname === prefix || pathname.startsWith(`${prefix}/`)
+          )) || [];
+        return locale || self.apos.i18n.defaultLocale;
+      },
+
+      // A clone of `req` in `locale`. The `t` of a clone translates to
+      // the locale of the original request, so it is replaced too
+      getLocaleReq(req, locale) {
+        if (!self.apos.i18n.locales[locale]) {
+          locale = self.apos.i18n.defaultLocale;
+        }
+        const localeReq = req.clone({
+          locale,
+          mode: 'published'
+        });
+        localeReq.t = (key, options = {}) => self.apos.i18n.i18next.t(key, {
+          ...options,
+          lng: locale
+        });
+        return localeReq;
+      },
+
+      async getSiteTitle(req) {
+        const global = await self.apos.global.findGlobal(req);
+        return global?.brandingGroup?.siteTitle ||
+          new URL(self.apos.baseUrl || 'http://localhost:4321').host;
+      },
+
+      // Send the `action` link of an email to the home page of the
+      // subscriber's locale, where the notice asks to confirm it. Nothing
+      // changes until the token is posted back
+      async redirectToPrompt(req, res, action) {
+        try {
+          const token = self.apos.launder.string(req.query.token);
+          const payload = await self.verify(token);
+          const subscriber = payload?.action === action &&
+            await self.findSubscriber(req, payload.id);
+          if (!subscriber) {
+            return self.redirectWithNotice(res, null, 'invalidLink');
+          }
+          return self.redirectWithNotice(res, subscriber, action, token);
+        } catch (e) {
+          self.apos.util.error(e);
+          return self.redirectWithNotice(res, null, 'error');
+        }
+      },
+
+      // Back to the home page of the subscriber's locale, with the notice
+      // and, for the notices asking to confirm an action, its `token`
+      redirectWithNotice(res, subscriber, status, token) {
+        const prefix = self.apos.i18n.locales[subscriber?.locale]?.prefix || '';
+        const query = new URLSearchParams({
+          newsletter: status,
+          ...token && { token }
+        });
+        return res.redirect(`${prefix}/?${query}`);
+      },
+
+      async getSecret() {
+        if (!self.secret) {
+          self.secret = await getSecret(
+            self.apos,
+            'subscriber',
+            process.env.APOS_NEWSLETTER_SECRET
+          );
+        }
+        return self.secret;
+      },
+
+      async sign(payload) {
+        return signToken(payload, await self.getSecret());
+      },
+
+      // The payload of a token whose signature is valid, unless it has
+      // expired
+      async verify(token) {
+        return verifyToken(token, await self.getSecret());
+      },
+
+      toCsv(subscribers) {
+        return toCsv([
+          [ 'Email', 'Status', 'Locale', 'Signed Up', 'Confirmed', 'Unsubscribed', 'Page' ],
+          ...subscribers.map(subscriber => [
+            subscriber.title,
+            subscriber.status,
+            subscriber.locale,
+            new Date(subscriber.createdAt).toISOString(),
+            subscriber.confirmedAt || '',
+            subscriber.unsubscribedAt || '',
+            subscriber.pageUrl
+          ])
+        ]);
+      }
+    };
+  }
+};
@@ -0,0 +1,526 @@
+import { createHash } from 'node:crypto';
+import { parseXliff, toXliff } from '../../lib/helpers/xliff.js';
+
+// The "Translations" dashboard of the admin bar, listing the state of each
+// page and piece in every locale compared to the source locale:
+//
+// - `missing`: not localized yet
+// - `untranslated`: localized, but not edited since
+// - `outdated`: the source was edited after the translation
+// - `current`: edited after the source
+//
+// The text fields and rich text of the documents that need work in a
+// locale can be exported to XLIFF 1.2 or JSON for translation agencies,
+// and the translated files imported back into the drafts of that locale.
+// Each imported text remembers a hash of the source it translates, so the
+// next export of an outdated document leaves out the texts whose source
+// did not change.
+//
+// Fields with `translate: false` are never exported.
+export default {
+  options: {
+    alias: 'translationStatus',
+    // Piece types listed along with every page type
+    pieceTypes: [ 'article', 'author', 'category', 'tag' ],
+    // Locale translated from, defaults to the default locale
+    sourceLocale: null,
+    perPage: 50
+  },
+  init(self) {
+    self.addDashboard();
+  },
+  handlers(self) {
+    return {
+      '@apostrophecms/doc-type:afterLocalize': {
+        // The source text was copied over the translations
+        async forgetTranslations(req, draft, result) {
+          await self.apos.doc.db.updateOne({ _id: result._id }, {
+            $unset: { translationHashes: 1 }
+          });
+        }
+      }
+    };
+  },
+  apiRoutes(self) {
+    return {
+      get: {
+        // `/api/v1/translation/status?type=article&locale=fr&state=outdated&page=2`
+        async status(req) {
+          self.checkPermission(req);
+          const { rows, totals } = await self.getStatus(req, {
+            type: self.apos.launder.string(req.query.type),
+            locale: self.apos.launder.string(req.query.locale),
+            state: self.apos.launder.string(req.query.state)
+          });
+          const perPage = self.options.perPage;
+          const pages = Math.max(1, Math.ceil(rows.length / perPage));
+          const page = self.apos.launder.integer(req.query.page, 1, 1, pages);
+          return {
+            sourceLocale: self.getSourceLocale(),
+            locales: self.getLocaleChoices(),
+            types: self.getTypes(req).map(type => ({
+              name: type,
+              label: req.t(self.apos.doc.getManager(type).options.label || type)
+            })),
+            totals,
+            results: rows.slice((page - 1) * perPage, page * perPage),
+            pages,
+            currentPage: page
+          };
+        }
+      },
+      post: {
+        // Responds with the `filename` and `content` of the file to
+        // translate the documents that need work in `locale`, optionally
+        // of one `type`. `format` is `xliff` or `json`
+        async export(req) {
+          self.checkPermission(req);
+          const locale = self.getTargetLocale(self.apos.launder.string(req.body.locale));
+          const format = self.apos.launder.select(req.body.format, [ 'xliff', 'json' ], 'xliff');
+          const data = await self.getExport(req, {
+            locale,
+            type: self.apos.launder.string(req.body.type)
+          });
+          const date = data.exportedAt.slice(0, 10);
+          return {
+            filename: `translation-${data.sourceLocale}-${locale}-${date}.${format === 'xliff' ? 'xlf' : 'json'}`,
+            content: format === 'xliff'
+              ? toXliff(data)
+              : JSON.stringify(data, null, 2),
+            documents: data.documents.length,
+            units: data.documents.reduce((sum, doc) => sum + doc.units.length, 0)
+          };
+        },
+        // Imports the translated XLIFF or JSON file posted as `content`
+        // into the drafts of its target locale
+        async import(req) {
+          self.checkPermission(req);
+          const content = self.apos.launder.string(req.body.content).trim();
+          if (!content) {
+            throw self.apos.error('invalid', 'The file is empty.');
+          }
+          return self.importTranslations(req, self.parseFile(content));
+        }
+      }
+    };
+  },
+  methods(self) {
+    return {
+      addDashboard() {
+        self.apos.adminBar.add(
+          `${self.__meta.name}:dashboard`,
+          'Translations',
+          {
+            action: 'edit',
+            type: '@apostrophecms/any-page-type'
+          }
+        );
+        self.apos.modal.add(
+          `${self.__meta.name}:dashboard`,
+          'TranslationDashboard',
+          { moduleName: self.__meta.name }
+        );
+      },
+
+      // The dashboard reads the drafts of the listed types directly, so it
+      // is limited to the types the user can edit
+      checkPermission(req) {
+        if (!self.getTypes(req).length) {
+          throw self.apos.error('forbidden');
+        }
+      },
+
+      getSourceLocale() {
+        return self.options.sourceLocale || self.apos.i18n.defaultLocale;
+      },
+
+      getLocaleChoices() {
+        return Object.entries(self.apos.i18n.locales).map(([ name, locale ]) => ({
+          name,
+          label: locale.label || name
+        }));
+      },
+
+      // Validate a locale to translate to. Accepts region variants used by
+      // translation tools, like `fr-FR` for `fr`
+      getTargetLocale(locale) {
+        const locales = Object.keys(self.apos.i18n.locales);
+        const name = locales.includes(locale)
+          ? locale
+          : locales.find(name => name === locale?.split(/[-_]/)[0]);
+        if (!name || name === self.getSourceLocale()) {
+          throw self.apos.error('invalid', `"${locale}" is not a locale to translate to.`);
+        }
+        return name;
+      },
+
+      // Every page type and the `pieceTypes` that are localized and that
+      // the user can edit
+      getTypes(req) {
+        return Object.values(self.apos.doc.managers)
+          .filter(manager => (
+            self.apos.instanceOf(manager, '@apostrophecms/page-type') &&
+            manager.__meta.name !== '@apostrophecms/archive-page'
+          ) || self.options.pieceTypes.includes(manager.__meta.name))
+          .filter(manager => manager.isLocalized())
+          .map(manager => manager.__meta.name)
+          .filter(type => self.apos.permission.can(req, 'edit', type));
+      },
+
+      // The state of a document in each locale, from its drafts by locale
+      getStates(drafts) {
+        const source = drafts[self.getSourceLocale()];
+        return Object.fromEntries(Object.keys(self.apos.i18n.locales).map(locale => {
+          const draft = drafts[locale];
+          let state = 'current';
+          if (!draft) {
+            state = 'missing';
+          } else if (draft === source) {
+            state = 'source';
+          } else if (draft.localizedAt && !(draft.updatedAt > draft.localizedAt)) {
+            state = 'untranslated';
+          } else if (source && source.updatedAt > draft.updatedAt) {
+            state = 'outdated';
+          }
+          return [ locale, {
+            state,
+            published: Boolean(draft?.lastPublishedAt),
+            updatedAt: draft?.updatedAt || null
+          } ];
+        }));
+      },
+
+      // One row per document, sorted by title, with its state in each
+      // locale and the number of documents in each state by locale.
+      // Rows can be limited to a `type`, and to those with a `state` in
+      // `locale` or, without a locale, in any locale
+      async getStatus(req, {
+        type, locale, state
+      } = {}) {
+        const types = self.getTypes(req);
+        const locales = Object.keys(self.apos.i18n.locales);
+        const drafts = await self.apos.doc.db.find({
+          type: { $in: types.includes(type) ? [ type ] : types },
+          aposLocale: { $in: locales.map(locale => `${locale}:draft`) },
+          archived: { $ne: true }
+        }).project({
+          aposDocId: 1,
+          aposLocale: 1,
+          type: 1,
+          title: 1,
+          updatedAt: 1,
+          localizedAt: 1,
+          lastPublishedAt: 1
+        }).toArray();
+        const byId = new Map();
+        for (const draft of drafts) {
+          const row = byId.get(draft.aposDocId) || {
+            aposDocId: draft.aposDocId,
+            type: draft.type,
+            title: draft.title,
+            drafts: {}
+          };
+          const draftLocale = draft.aposLocale.split(':')[0];
+          if (draftLocale === self.getSourceLocale()) {
+            row.title = draft.title;
+          }
+          row.drafts[draftLocale] = draft;
+          byId.set(draft.aposDocId, row);
+        }
+        const totals = Object.fromEntries(locales.map(name => [ name, {} ]));
+        const rows = [];
+        for (const { drafts, ...row } of byId.values()) {
+          row.states = self.getStates(drafts);
+          for (const [ name, { state: value } ] of Object.entries(row.states)) {
+            totals[name][value] = (totals[name][value] || 0) + 1;
+          }
+          const checked = locales.includes(locale) ? [ locale ] : locales;
+          if (!state || checked.some(name => row.states[name].state === state)) {
+            rows.push(row);
+          }
+        }
+        rows.sort((a, b) => (a.title || '').localeCompare(b.title || ''));
+        return {
+          rows,
+          totals
+        };
+      },
+
+      // The texts to translate to `locale`, by document
+      async getExport(req, { locale, type }) {
+        const sourceLocale = self.getSourceLocale();
+        const { rows } = await self.getStatus(req, { type });
+        const documents = [];
+        for (const row of rows) {
+          const { state } = row.states[locale];
+          if (![ 'missing', 'untranslated', 'outdated' ].includes(state) ||
+            row.states[sourceLocale].state !== 'source') {
+            continue;
+          }
+          const [ source, target ] = await Promise.all([ sourceLocale, locale ]
+            .map(name => self.apos.doc.db.findOne({
+              aposDocId: row.aposDocId,
+              aposLocale: `${name}:draft`
+            })));
+          const hashes = target?.translationHashes || {};
+          const { schema } = self.apos.doc.getManager(row.type);
+          const units = self.getUnits(schema, source, target)
+            .filter(unit => hashes[unit.id] !== self.hash(unit.source))
+            .map(unit => ({
+              ...unit,
+              // Only the texts that were translated before help
+              target: unit.target !== unit.source ? unit.target : null
+            }));
+          if (units.length) {
+            documents.push({
+              aposDocId: row.aposDocId,
+              type: row.type,
+              title: row.title,
+              units
+            });
+          }
+        }
+        return {
+          sourceLocale,
+          targetLocale: locale,
+          exportedAt: new Date().toISOString(),
+          documents
+        };
+      },
+
+      isTranslatable(field) {
+        return field.translate !== false && !field.readOnly && !field.hidden;
+      },
+
+      isRichText(widget) {
+        const manager = self.apos.area.getWidgetManager(widget.type);
+        return Boolean(manager) &&
+          self.apos.instanceOf(manager, '@apostrophecms/rich-text-widget');
+      },
+
+      // The translatable texts of `source`, with the text at the same
+      // place in `target`, if any. Texts in areas and arrays are found by
+      // the `_id` of their widget or item, which localizing keeps, so the
+      // `id` of a unit is a path like `main.<widget _id>.content`
+      getUnits(schema, source, target, path = []) {
+        const units = [];
+        for (const field of schema.filter(self.isTranslatable)) {
+          const value = source?.[field.name];
+          const targetValue = target?.[field.name];
+          const fieldPath = [ ...path, field.name ];
+          if (field.type === 'string' && typeof value === 'string' && value.trim()) {
+            units.push({
+              id: fieldPath.join('.'),
+              source: value,
+              target: typeof targetValue === 'string' ? targetValue : null
+            });
+          } else if (field.type === 'area') {
+            for (const widget of value?.items || []) {
+              const targetWidget = targetValue?.items
+                ?.find(item => item._id === widget._id);
+              const widgetPath = [ ...fieldPath, widget._id ];
+              if (self.isRichText(widget)) {
+                if (widget.content?.replace(/<[^>]*>/g, '').trim()) {
+                  units.push({
+                    id: [ ...widgetPath, 'content' ].join('.'),
+                    source: widget.content,
+                    target: targetWidget?.content ?? null,
+                    html: true
+                  });
+                }
+              } else {
+                const manager = self.apos.area.getWidgetManager(widget.type);
+                const schema = manager?.schema || [];
+                units.push(...self.getUnits(schema, widget, targetWidget, widgetPath));
+              }
+            }
+          } else if (field.type === 'array') {
+            for (const item of value || []) {
+              const targetItem = targetValue?.find?.(entry => entry._id === item._id);
+              const itemPath = [ ...fieldPath, item._id ];
+              units.push(...self.getUnits(field.schema, item, targetItem, itemPath));
+            }
+          } else if (field.type === 'object') {
+            units.push(...self.getUnits(field.schema, value, targetValue, fieldPath));
+          }
+        }
+        return units;
+      },
+
+      // Write the translated `text` at the place of `doc` given by `path`,
+      // as returned by `getUnits`. Returns false if the place does not
+      // exist or is not translatable
+      applyUnit(schema, doc, path, text) {
+        const [ name, ...rest ] = path;
+        const field = schema.find(field => field.name === name);
+        if (!doc || !field || !self.isTranslatable(field)) {
+          return false;
+        }
+        if (field.type === 'string') {
+          if (rest.length) {
+            return false;
+          }
+          doc[name] = self.apos.launder.string(text);
+          return true;
+        }
+        if (field.type === 'area') {
+          const [ widgetId, ...widgetPath ] = rest;
+          const widget = doc[name]?.items?.find(item => item._id === widgetId);
+          if (!widget) {
+            return false;
+          }
+          if (self.isRichText(widget)) {
+            if (widgetPath.join('.') !== 'content') {
+              return false;
+            }
+            widget.content = self.sanitizeRichText(field, widget.type, text);
+            return true;
+          }
+          const manager = self.apos.area.getWidgetManager(widget.type);
+          return self.applyUnit(manager?.schema || [], widget, widgetPath, text);
+        }
+        if (field.type === 'array') {
+          const [ itemId, ...itemPath ] = rest;
+          const item = (doc[name] || []).find(item => item._id === itemId);
+          return self.applyUnit(field.schema, item, itemPath, text);
+        }
+        if (field.type === 'object') {
+          return self.applyUnit(field.schema, doc[name], rest, text);
+        }
+        return false;
+      },
+
+      // Sanitize translated rich text like the editor would, with the
+      // options of the widget in the area
+      sanitizeRichText(field, type, html) {
+        const manager = self.apos.area.getWidgetManager(type);
+        const options = field.options?.widgets?.[type] ||
+          Object.values(field.options?.groups || {})
+            .map(group => group.widgets?.[type])
+            .find(Boolean);
+        return manager.sanitizeHtml(html, manager.optionsToSanitizeHtml({
+          ...manager.options.defaultOptions,
+          ...options
+        }));
+      },
+
+      hash(text) {
+        return createHash('sha1').update(text).digest('base64url').slice(0, 16);
+      },
+
+      // Read an XLIFF or JSON file made by the export
+      parseFile(content) {
+        if (content.startsWith('<')) {
+          return parseXliff(content);
+        }
+        try {
+          return JSON.parse(content);
+        } catch (e) {
+          throw self.apos.error('invalid', 'The file is neither XLIFF nor JSON.');
+        }
+      },
+
+      // Write the translations of the export `data` into the drafts of its
+      // target locale, localizing the documents that are missing first.
+      // Resolves to counts of the documents updated and created, of the
+      // texts imported and skipped, and the errors by document
+      async importTranslations(req, data) {
+        const sourceLocale = self.getSourceLocale();
+        const locale = self.getTargetLocale(data.targetLocale);
+        const types = self.getTypes(req);
+        const result = {
+          locale,
+          updated: 0,
+          created: 0,
+          units: 0,
+          skipped: 0,
+          errors: []
+        };
+        for (const { aposDocId, units = [] } of data.documents || []) {
+          const source = await self.apos.doc.db.findOne({
+            aposDocId: String(aposDocId),
+            aposLocale: `${sourceLocale}:draft`
+          });
+          if (!source || !types.includes(source.type)) {
+            result.errors.push(`${aposDocId}: not found in ${sourceLocale}`);
+            result.skipped += units.length;
+            continue;
+          }
+          try {
+            const {
+              created, applied, skipped
+            } = await self.importDocument(req, {
+              source,
+              locale,
+              units
+            });
+            result.created += created ? 1 : 0;
+            result.updated += applied ? 1 : 0;
+            result.units += applied;
+            result.skipped += skipped;
+          } catch (e) {
+            result.errors.push(`${source.title}: ${e.message}`);
+            result.skipped += units.length;
+          }
+        }
+        return result;
+      },
+
+      async importDocument(req, {
+        source, locale, units
+      }) {
+        const manager = self.apos.doc.getManager(source.type);
+        const actionModule = self.apos.page.isPage(source) ? self.apos.page : manager;
+        const sourceReq = req.clone({
+          locale: self.getSourceLocale(),
+          mode: 'draft'
+        });
+        const targetReq = req.clone({
+          locale,
+          mode: 'draft'
+        });
+        const findTarget = () => manager.findForEditing(targetReq, {
+          aposDocId: source.aposDocId
+        }).toObject();
+        let target = await findTarget();
+        let created = false;
+        if (!target) {
+          const draft = await manager
+            .findForEditing(sourceReq, { _id: source._id })
+            .toObject();
+          await manager.localize(sourceReq, draft, locale);
+          target = await findTarget();
+          created = true;
+        }
+        const sources = new Map(self.getUnits(manager.schema, source)
+          .map(unit => [ unit.id, unit.source ]));
+        const hashes = { ...target.translationHashes };
+        let applied = 0;
+        let skipped = 0;
+        for (const unit of units) {
+          const id = String(unit.id);
+          const text = typeof unit.target === 'string' ? unit.target : '';
+          if (
+            !text.trim() ||
+            !sources.has(id) ||
+            !self.applyUnit(manager.schema, target, id.split('.'), text)
+          ) {
+            skipped++;
+            continue;
+          }
+          hashes[id] = self.hash(sources.get(id));
+          applied++;
+        }
+        if (applied) {
+          target.translationHashes = hashes;
+          await actionModule.update(targetReq, target);
+        }
+        return {
+          created,
+          applied,
+          skipped
+        };
+      }
+    };
+  }
+};
@@ -0,0 +1,220 @@
+// The log of webhook deliveries, queued and sent by the `webhook` module.
+// Admins can inspect the payload, status and attempts of each delivery
+export default {
+  extend: '@apostrophecms/piece-type',
+  options: {
+    label: 'Webhook Delivery',
+    pluralLabel: 'Webhook Deliveries',
+    quickCreate: false,
+    showCreate: false,
+    searchable: false,
+    localized: false,
+    versions: false,
+    editRole: 'admin',
+    publishRole: 'admin',
+    viewRole: 'admin',
+    sort: { createdAt: -1 }
+  },
+  fields: {
+    add: {
+      event: {
+        type: 'select',
+        label: 'Event',
+        readOnly: true,
+        choices: [
+          {
+            label: 'Publish',
+            value: 'publish'
+          },
+          {
+            label: 'Unpublish',
+            value: 'unpublish'
+          },
+          {
+            label: 'Delete',
+            value: 'delete'
+          },
+          {
+            label: 'Localize',
+            value: 'localize'
+          }
+        ]
+      },
+      status: {
+        type: 'select',
+        label: 'Status',
+        readOnly: true,
+        choices: [
+          {
+            label: 'Pending',
+            value: 'pending'
+          },
+          {
+            label: 'Delivered',
+            value: 'delivered'
+          },
+          {
+            label: 'Failed',
+            value: 'failed'
+          }
+        ],
+        def: 'pending'
+      },
+      webhookId: {
+        type: 'string',
+        label: 'Webhook ID',
+        readOnly: true
+      },
+      url: {
+        type: 'string',
+        label: 'Endpoint URL',
+        readOnly: true
+      },
+      attempts: {
+        type: 'integer',
+        label: 'Attempts',
+        readOnly: true,
+        def: 0
+      },
+      payload: {
+        type: 'string',
+        label: 'Payload',
+        textarea: true,
+        readOnly: true
+      },
+      log: {
+        type: 'string',
+        label: 'Attempts Log',
+        help: 'Date, response status and duration of each attempt',
+        textarea: true,
+        readOnly: true
+      }
+    },
+    group: {
+      basics: {
+        label: 'Basics',
+        fields: [ 'title', 'event', 'status', 'url', 'webhookId' ]
+      },
+      details: {
+        label: 'Details',
+        fields: [ 'payload', 'attempts', 'log' ]
+      }
+    }
+  },
+  columns: {
+    add: {
+      event: {
+        label: 'Event',
+        component: 'AposCellBasic'
+      },
+      status: {
+        label: 'Status',
+        component: 'AposCellBasic'
+      },
+      attempts: {
+        label: 'Attempts',
+        component: 'AposCellBasic'
+      }
+    }
+  },
+  filters: {
+    add: {
+      event: {
+        label: 'Event'
+      },
+      status: {
+        label: 'Status'
+      }
+    }
+  },
+  init(self) {
+    self.addStatusIndicators();
+  },
+  methods(self) {
+    return {
+      // Queue a delivery of `payload` to `webhook`, due now
+      async queue(req, webhook, payload) {
+        return self.insert(req, {
+          title: `${payload.event} ${payload.docType}: ${payload.title || payload.aposDocId}`,
+          event: payload.event,
+          status: 'pending',
+          webhookId: webhook._id,
+          url: webhook.url,
+          attempts: 0,
+          payload: JSON.stringify(payload, null, 2),
+          log: '',
+          nextAttemptAt: new Date()
+        });
+      },
+
+      // Claim the next delivery that is due, postponing it by `lease`
+      // milliseconds so no other process sends it meanwhile. Resolves to
+      // the delivery, or `null` when none is due
+      claim(lease) {
+        const now = new Date();
+        return self.apos.doc.db.findOneAndUpdate(
+          {
+            type: self.__meta.name,
+            status: 'pending',
+            nextAttemptAt: { $lte: now }
+          },
+          {
+            $set: {
+              nextAttemptAt: new Date(now.getTime() + lease)
+            }
+          },
+          {
+            sort: { nextAttemptAt: 1 },
+            returnDocument: 'after'
+          }
+        );
+      },
+
+      // Save the outcome of an attempt to send `delivery`
+      async record(delivery, attempt, {
+        status, attempts, nextAttemptAt
+      }) {
+        const line = [
+          attempt.attemptedAt.toISOString(),
+          attempt.status || 'no response',
+          attempt.error,
+          `${attempt.duration} ms`
+        ].filter(Boolean).join(' — ');
+        await self.apos.doc.db.updateOne({ _id: delivery._id }, {
+          $set: {
+            status,
+            attempts,
+            nextAttemptAt,
+            log: delivery.log ? `${delivery.log}\n${line}` : line,
+            updatedAt: new Date()
+          }
+        });
+      },
+
+      // Remove deliveries older than `days`, unless still pending
+      async prune(days) {
+        await self.apos.doc.db.deleteMany({
+          type: self.__meta.name,
+          status: { $ne: 'pending' },
+          createdAt: { $lt: new Date(Date.now() - days * 24 * 60 * 60 * 1000) }
+        });
+      },
+
+      // Badge in the delivery manager for deliveries that failed for good
+      addStatusIndicators() {
+        self.apos.schema.addManagerIndicator({
+          component: 'AposLabel',
+          props: {
+            label: 'Failed',
+            tooltip: 'Every attempt failed, see the attempts log',
+            modifiers: [ 'apos-is-error' ]
+          },
+          if: {
+            type: self.__meta.name,
+            status: 'failed'
+          }
+        });
+      }
+    };
+  }
+};
@@ -0,0 +1,397 @@
+import { createHmac, randomBytes } from 'node:crypto';
+
+// Endpoints notified when pages, articles and authors are published,
+// unpublished, deleted or localized. Each event is queued as a
+// `webhook-delivery` piece, then POSTed as JSON with an HMAC-SHA256
+// signature of `<timestamp>.<body>` computed with the webhook's secret:
+//
+//   X-Webhook-Signature: sha256=<hex digest>
+//   X-Webhook-Timestamp: <seconds since the epoch>
+//
+// Failed deliveries are retried with an exponential backoff, and every
+// attempt is logged on the delivery for admins to inspect.
+export default {
+  extend: '@apostrophecms/piece-type',
+  options: {
+    label: 'Webhook',
+    pluralLabel: 'Webhooks',
+    alias: 'webhook',
+    quickCreate: false,
+    searchable: false,
+    localized: false,
+    versions: false,
+    editRole: 'admin',
+    publishRole: 'admin',
+    viewRole: 'admin',
+    // Attempts before a delivery is marked as failed
+    maxAttempts: 6,
+    // Milliseconds before the first retry, doubled on each attempt
+    retryDelay: 60 * 1000,
+    // How often, in milliseconds, the running site sends the deliveries
+    // that are due. Set to `false` to rely on the `webhook:deliver` task
+    // from cron instead
+    queueInterval: 30 * 1000,
+    // Milliseconds before an endpoint that does not answer is given up on
+    timeout: 10000,
+    // Days after which deliveries are removed from the log
+    retention: 30
+  },
+  fields: {
+    add: {
+      url: {
+        type: 'url',
+        label: 'Endpoint URL',
+        help: 'Receives a POST request with a JSON body for each event',
+        required: true
+      },
+      secret: {
+        type: 'string',
+        label: 'Secret',
+        help: 'Signs the deliveries, see the X-Webhook-Signature header. Leave empty to generate one'
+      },
+      events: {
+        type: 'checkboxes',
+        label: 'Events',
+        required: true,
+        choices: [
+          {
+            label: 'Publish',
+            value: 'publish'
+          },
+          {
+            label: 'Unpublish',
+            value: 'unpublish'
+          },
+          {
+            label: 'Delete',
+            value: 'delete'
+          },
+          {
+            label: 'Localize',
+            value: 'localize'
+          }
+        ],
+        def: [ 'publish', 'unpublish', 'delete', 'localize' ]
+      },
+      docTypes: {
+        type: 'checkboxes',
+        label: 'Content Types',
+        required: true,
+        choices: [
+          {
+            label: 'Pages',
+            value: 'page'
+          },
+          {
+            label: 'Articles',
+            value: 'article'
+          },
+          {
+            label: 'Authors',
+            value: 'author'
+          }
+        ],
+        def: [ 'page', 'article', 'author' ]
+      },
+      active: {
+        type: 'boolean',
+        label: 'Active',
+        help: 'Inactive webhooks receive no new deliveries',
+        def: true
+      }
+    },
+    group: {
+      basics: {
+        label: 'Basics',
+        fields: [ 'title', 'url', 'secret', 'active' ]
+      },
+      filters: {
+        label: 'Events',
+        fields: [ 'events', 'docTypes' ]
+      }
+    }
+  },
+  init(self) {
+    self.queueTimer = null;
+    self.processing = null;
+  },
+  handlers(self) {
+    return {
+      beforeSave: {
+        checkUrl(req, webhook) {
+          let protocol;
+          try {
+            protocol = new URL(webhook.url).protocol;
+          } catch (e) {
+            protocol = null;
+          }
+          if (![ 'http:', 'https:' ].includes(protocol)) {
+            throw self.apos.error('invalid', 'The endpoint URL must start with http:// or https://.');
+          }
+        },
+        generateSecret(req, webhook) {
+          if (!webhook.secret) {
+            webhook.secret = randomBytes(32).toString('hex');
+          }
+        }
+      },
+      '@apostrophecms/doc-type:afterPublish': {
+        notifyPublish(req, { published }) {
+          return self.notify(req, 'publish', published);
+        }
+      },
+      '@apostrophecms/doc-type:beforeUnpublish': {
+        // Before the published version is removed, so its URL is known
+        notifyUnpublish(req, published) {
+          return self.notify(req, 'unpublish', published);
+        }
+      },
+      '@apostrophecms/doc-type:afterDelete': {
+        // Unpublishing deletes the published version, which is notified
+        // above. Deleting the draft deletes the document for good
+        notifyDelete(req, doc) {
+          if (doc.aposMode === 'draft') {
+            return self.notify(req, 'delete', doc);
+          }
+        }
+      },
+      '@apostrophecms/doc-type:afterLocalize': {
+        notifyLocalize(req, draft, result) {
+          return self.notify(req, 'localize', result, {
+            sourceLocale: draft.aposLocale.split(':')[0]
+          });
+        }
+      },
+      'apostrophe:run': {
+        startQueue(isTask) {
+          if (isTask || !self.options.queueInterval) {
+            return;
+          }
+          self.queueInterval = setInterval(() => {
+            self.processQueue().catch(self.apos.util.error);
+          }, self.options.queueInterval);
+        }
+      },
+      'apostrophe:destroy': {
+        stopQueue() {
+          clearInterval(self.queueInterval);
+          clearTimeout(self.queueTimer);
+        }
+      }
+    };
+  },
+  tasks(self) {
+    return {
+      deliver: {
+        usage: 'Send the webhook deliveries that are due, including retries.\nRun this from cron, e.g. every minute, when the `queueInterval` option is false.',
+        async task() {
+          const { delivered, failed } = await self.processQueue();
+          self.apos.util.log(`Delivered ${delivered}, failed ${failed} webhook deliveries.`);
+        }
+      }
+    };
+  },
+  methods(self) {
+    return {
+      // `page`, `article` or `author`, or `null` for documents that are
+      // not notified
+      getDocType(doc) {
+        if (doc.type === '@apostrophecms/archive-page') {
+          return null;
+        }
+        if (self.apos.page.isPage(doc)) {
+          return 'page';
+        }
+        return [ 'article', 'author' ].includes(doc.type) ? doc.type : null;
+      },
+
+      // Queue a delivery of `event` about `doc` to each active webhook
+      // listening to it, then send them shortly
+      async trigger(event, doc, extra = {}) {
+        const docType = self.getDocType(doc);
+        if (!docType) {
+          return;
+        }
+        const req = self.apos.task.getReq();
+        const webhooks = await self.find(req, {
+          active: true,
+          events: event,
+          docTypes: docType
+        }).toArray();
+        if (!webhooks.length) {
+          return;
+        }
+        const payload = {
+          event,
+          docType,
+          type: doc.type,
+          aposDocId: doc.aposDocId,
+          locale: doc.aposLocale?.split(':')[0] || null,
+          title: doc.title,
+          slug: doc.slug,
+          url: await self.getDocUrl(doc),
+          ...extra,
+          occurredAt: new Date().toISOString()
+        };
+        for (const webhook of webhooks) {
+          await self.apos.modules['webhook-delivery'].queue(req, webhook, payload);
+        }
+        self.processSoon();
+      },
+
+      // Trigger `event` for the handlers above. Webhooks are a side channel:
+      // a failure is logged rather than failing the editor's action
+      async notify(req, event, doc, extra) {
+        try {
+          await self.trigger(event, doc, extra);
+        } catch (e) {
+          self.logError(req, 'trigger-failed', `The ${event} webhooks could not be queued`, {
+            docId: doc._id,
+            error: e.message
+          });
+        }
+      },
+
+      // The absolute URL of the document, if it has one
+      async getDocUrl(doc) {
+        try {
+          const [ locale, mode ] = (doc.aposLocale || '').split(':');
+          const req = self.apos.task.getReq({
+            ...locale && { locale },
+            ...mode && { mode }
+          });
+          const found = await self.apos.doc.getManager(doc.type)
+            .find(req, { _id: doc._id })
+            .project({ _url: 1 })
+            .archived(null)
+            .toObject();
+          const url = found?._url;
+          if (!url) {
+            return null;
+          }
+          return url.startsWith('/') && self.apos.baseUrl
+            ? `${self.apos.baseUrl}${url}`
+            : url;
+        } catch (e) {
+          return null;
+        }
+      },
+
+      // Send the queued deliveries once the current changes are done
+      processSoon() {
+        clearTimeout(self.queueTimer);
+        self.queueTimer = setTimeout(() => {
+          self.queueTimer = null;
+          self.processQueue().catch(self.apos.util.error);
+        }, 500);
+      },
+
+      // Send the deliveries that are due, one at a time. Deliveries are
+      // claimed atomically, so several processes can share the queue.
+      // Resolves to the number of deliveries that succeeded and of those
+      // that failed for good
+      async processQueue() {
+        // A run already in progress picks up the new deliveries
+        self.processing ||= self.sendDue().finally(() => {
+          self.processing = null;
+        });
+        return self.processing;
+      },
+
+      async sendDue() {
+        const deliveries = self.apos.modules['webhook-delivery'];
+        const counts = {
+          delivered: 0,
+          failed: 0
+        };
+        let delivery;
+        while ((delivery = await deliveries.claim(self.options.timeout * 2))) {
+          const status = await self.deliver(delivery);
+          if (status !== 'pending') {
+            counts[status]++;
+          }
+        }
+        await deliveries.prune(self.options.retention);
+        return counts;
+      },
+
+      // Sign and send a delivery, then record the attempt. Resolves to the
+      // new status of the delivery
+      async deliver(delivery) {
+        const webhook = await self.apos.doc.db.findOne({
+          _id: delivery.webhookId,
+          type: self.__meta.name,
+          archived: { $ne: true }
+        });
+        const attempt = {
+          attemptedAt: new Date(),
+          status: null,
+          error: null,
+          duration: 0
+        };
+        if (webhook) {
+          const started = Date.now();
+          try {
+            const response = await self.send(webhook, delivery);
+            attempt.status = response.status;
+            if (!response.ok) {
+              attempt.error = response.statusText || 'Unexpected status';
+            }
+          } catch (e) {
+            attempt.error = e.message;
+          }
+          attempt.duration = Date.now() - started;
+        } else {
+          attempt.error = 'The webhook was deleted';
+        }
+        const attempts = (delivery.attempts || 0) + 1;
+        let status = 'pending';
+        if (!attempt.error) {
+          status = 'delivered';
+        } else if (!webhook || attempts >= self.options.maxAttempts) {
+          status = 'failed';
+        }
+        await self.apos.modules['webhook-delivery'].record(delivery, attempt, {
+          status,
+          attempts,
+          nextAttemptAt: status === 'pending'
+            ? new Date(Date.now() + self.getRetryDelay(attempts))
+            : null
+        });
+        return status;
+      },
+
+      getRetryDelay(attempts) {
+        return self.options.retryDelay * 2 ** (attempts - 1);
+      },
+
+      send(webhook, delivery) {
+        const body = JSON.stringify({
+          id: delivery._id,
+          ...JSON.parse(delivery.payload)
+        });
+        const timestamp = Math.floor(Date.now() / 1000);
+        return fetch(webhook.url, {
+          method: 'POST',
+          headers: {
+            'content-type': 'application/json',
+            'user-agent': 'ApostropheCMS-Webhooks',
+            'x-webhook-event': delivery.event,
+            'x-webhook-delivery': delivery._id,
+            'x-webhook-timestamp': String(timestamp),
+            'x-webhook-signature': `sha256=${self.sign(webhook.secret, timestamp, body)}`
+          },
+          body,
+          redirect: 'manual',
+          signal: AbortSignal.timeout(self.options.timeout)
+        });
+      },
+
+      sign(secret, timestamp, body) {
+        return createHmac('sha256', secret)
+          .update(`${timestamp}.${body}`)
+          .digest('hex');
+      }
+    };
+  }
+};
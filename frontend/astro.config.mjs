@@ -2,20 +2,30 @@ import { defineConfig } from 'astro/config';
 import node from '@astrojs/node';
 import apostrophe from '@apostrophecms/apostrophe-astro';
 import path from 'path';
+import { staticExport } from './src/lib/static-export.js';
+import { iconSubset } from './src/lib/icon-subset.js';
+
+// `APOS_BUILD=static` builds a static site into `dist/` rather than the
+// Node server, see `src/lib/static-export.js`
+const isStatic = process.env.APOS_BUILD === 'static';
+
+const aposHost = 'http://localhost:3000';
 
 // https://astro.build/config
 export default defineConfig({
-  output: "server",
+  output: isStatic ? "static" : "server",
   server: {
     port: process.env.PORT ? parseInt(process.env.PORT) : 4321,
     // Required for some hosting, like Heroku
     // host: true
   },
-  adapter: node({
-    mode: 'standalone'
+  ...(!isStatic && {
+    adapter: node({
+      mode: 'standalone'
+    })
   }),
   integrations: [apostrophe({
-    aposHost: 'http://localhost:3000',
+    aposHost,
     widgetsMapping: './src/widgets',
     templatesMapping: './src/templates',
     includeResponseHeaders: [
@@ -25,11 +35,18 @@ export default defineConfig({
       'referrer-policy',
       'cache-control'
     ],
+    // Served by the backend rather than rendered by Astro
+    proxyRoutes: [
+      '/robots.txt',
+      '/llms.txt',
+      '/sitemap.xml',
+      '/sitemaps/[...slug]'
+    ],
     excludeRequestHeaders: [
       // For hosting on multiple servers, block the host header
       // 'host'
     ]
-  })],
+  }), iconSubset({ aposHost }), ...(isStatic ? [ staticExport() ] : [])],
   vite: {
     css: {
       preprocessorOptions: {
@@ -1,2 +1,8 @@
 /// <reference path="../.astro/types.d.ts" />
 /// <reference types="astro/client" />
+
+declare module 'virtual:icon-subset' {
+  // Icons by style and name, as `[ width, height, path ]`
+  const icons: Record<string, Record<string, [number, number, string]>>;
+  export default icons;
+}
@@ -0,0 +1,27 @@
+import { createHmac } from 'node:crypto';
+
+// How long the signature of a request stays valid, in milliseconds
+const SIGNATURE_LIFETIME = 60 * 1000;
+
+/**
+ * Get the headers of a request from a route of this server to a backend
+ * route only the frontend may call, like form submissions. Besides the
+ * external front key, which the `/api/v1` proxy also adds to the requests
+ * of browsers, they hold a short-lived token signed with the key that the
+ * backend checks, see `backend/lib/helpers/frontend-requests.js`.
+ * Server-side only
+ * @returns {Object} The headers
+ */
+export function getBackendHeaders() {
+  const key = process.env.APOS_EXTERNAL_FRONT_KEY;
+  const data = Buffer.from(JSON.stringify({
+    purpose: 'frontend',
+    exp: Date.now() + SIGNATURE_LIFETIME
+  })).toString('base64url');
+  const signature = createHmac('sha256', key).update(data).digest('base64url');
+  return {
+    'x-requested-with': 'AposExternalFront',
+    'apos-external-front-key': key,
+    'apollo-frontend-signature': `${data}.${signature}`
+  };
+}
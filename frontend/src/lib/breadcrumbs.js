@@ -0,0 +1,38 @@
+// Page types showing breadcrumbs when the global settings were saved before
+// the "Show Breadcrumbs On" field existed, like its default in
+// `backend/modules/@apostrophecms/global/index.js`
+const DEFAULT_TYPES = [ 'default-page', 'article-page', 'author-page' ];
+
+/**
+ * Get the trail of pages leading to the current page or piece, starting
+ * with the home page. Piece show pages end with their index page and the
+ * piece itself
+ * @param {Object} aposData - Data returned by `aposPageFetch`
+ * @returns {Array} Crumbs with `title` and `url`
+ */
+export function getBreadcrumbs(aposData) {
+  const { page, piece } = aposData;
+  if (!page) {
+    return [];
+  }
+  const crumbs = [ ...(page._ancestors || []), page ]
+    .map(doc => ({ title: doc.title, url: doc._url }));
+  if (piece) {
+    crumbs.push({ title: piece.title, url: piece._url });
+  }
+  return crumbs;
+}
+
+/**
+ * Check whether breadcrumbs are turned on for the type of the current page
+ * in the global header settings. Also decides whether the JSON-LD lists
+ * them
+ * @param {Object} aposData - Data returned by `aposPageFetch`
+ * @returns {boolean} True if breadcrumbs should be shown
+ */
+export function showBreadcrumbs(aposData) {
+  const types = aposData.global?.headerGroup?.breadcrumbTypes || DEFAULT_TYPES;
+  return Boolean(aposData.page) &&
+    !aposData.notFound &&
+    types.includes(aposData.page.type);
+}
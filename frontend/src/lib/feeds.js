@@ -0,0 +1,31 @@
+export const feedTypes = [
+  { format: 'rss', type: 'application/rss+xml', label: 'RSS' },
+  { format: 'atom', type: 'application/atom+xml', label: 'Atom' },
+  { format: 'json', type: 'application/feed+json', label: 'JSON Feed' }
+];
+
+/**
+ * Get the slug of the active category filter, if any
+ * @param {Array} filters - The `filters` provided by the article page
+ * @returns {string|undefined} The category slug
+ */
+export function getActiveCategory(filters = []) {
+  return filters
+    .find(filter => filter.name === 'category')
+    ?.choices.find(choice => choice.active)?.value;
+}
+
+/**
+ * Get the feed URLs for an article index page
+ * @param {string} pageUrl - URL of the article index page
+ * @param {string} [category] - Category slug to narrow the feeds to
+ * @returns {Array} Feed types with an added `url` property
+ */
+export function getFeedUrls(pageUrl, category) {
+  const base = pageUrl.replace(/\/$/, '');
+  const query = category ? `?category=${encodeURIComponent(category)}` : '';
+  return feedTypes.map(feed => ({
+    ...feed,
+    url: `${base}/feed.${feed.format}${query}`
+  }));
+}
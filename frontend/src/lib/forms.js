@@ -0,0 +1,69 @@
+// Name of the hidden field that only bots fill in
+export const HONEYPOT = 'website';
+
+/**
+ * Get the `accept` attribute of a file field from its accepted extensions
+ * @param {Object} field - Form field
+ * @returns {string|undefined} Extensions like `.pdf,.docx`, if any
+ */
+export function getAccept(field) {
+  const extensions = (field.accept || '').split(',')
+    .map(extension => extension.trim().replace(/^\./, ''))
+    .filter(Boolean);
+  return extensions.length
+    ? extensions.map(extension => `.${extension}`).join(',')
+    : undefined;
+}
+
+/**
+ * Get the outcome of a form posted without JavaScript, from the query
+ * string of the page the visitor was sent back to
+ * @param {URL} url - Current page URL
+ * @param {string} widgetId - `_id` of the form widget
+ * @returns {{sent: boolean, failed: boolean, fields: Array<string>}} Whether
+ *  this form was sent or failed, and the IDs of its invalid fields
+ */
+export function getFormStatus(url, widgetId) {
+  const failed = url.searchParams.get('formError') === widgetId;
+  return {
+    sent: url.searchParams.get('formSent') === widgetId,
+    failed,
+    fields: failed
+      ? (url.searchParams.get('formFields') || '').split(',').filter(Boolean)
+      : []
+  };
+}
+
+/**
+ * Get a path of this site posted by a form, so visitors are only ever sent
+ * back to this site
+ * @param {*} page - Posted path
+ * @returns {string} The path, or `/` when it is not a path of this site
+ */
+export function getLocalPath(page) {
+  return typeof page === 'string' && /^\/(?![/\\])/.test(page) ? page : '/';
+}
+
+/**
+ * Get the URL to send a visitor back to after posting a form without
+ * JavaScript. Only paths of this site are accepted
+ * @param {string} page - Path of the page the form is on
+ * @param {string} widgetId - `_id` of the form widget
+ * @param {Object} result - `errors` by field ID, empty when it was sent
+ * @param {string} origin - Origin of this site
+ * @returns {URL} The page URL with the outcome in its query string
+ */
+export function getResultUrl(page, widgetId, { errors }, origin) {
+  const url = new URL(getLocalPath(page), origin);
+  url.searchParams.delete('formSent');
+  url.searchParams.delete('formError');
+  url.searchParams.delete('formFields');
+  if (errors) {
+    url.searchParams.set('formError', widgetId);
+    url.searchParams.set('formFields', Object.keys(errors).join(','));
+  } else {
+    url.searchParams.set('formSent', widgetId);
+  }
+  url.hash = `form-${widgetId}`;
+  return url;
+}
@@ -0,0 +1,182 @@
+import { readdir, readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { fas } from '@fortawesome/free-solid-svg-icons';
+import { far } from '@fortawesome/free-regular-svg-icons';
+import { fab } from '@fortawesome/free-brands-svg-icons';
+import { getBackendHeaders } from './backend-requests.js';
+
+// Builds the Font Awesome icons `src/lib/icons.js` can render, so the
+// server bundle holds the SVG paths of the icons in use rather than the
+// three packs. Builds scan:
+// - the `<Icon name='…' style='…' />` tags and the `{ name: '…', style: '…' }`
+//   literals of `src/`, like the footer social platforms
+// - the `icon` fields of the backend documents, like the link and card
+//   widgets, listed by its `/api/v1/icon-field/used` route
+//
+// Icons picked in `icon` fields after the build still render, as their
+// values hold their SVG. `astro dev` includes every icon.
+
+const VIRTUAL_MODULE = 'virtual:icon-subset';
+const RESOLVED_MODULE = `\0${VIRTUAL_MODULE}`;
+
+const PACKS = {
+  solid: fas,
+  regular: far,
+  brands: fab
+};
+
+// How long the build waits for the backend, in milliseconds
+const BACKEND_TIMEOUT = 30 * 1000;
+
+/**
+ * Astro integration providing the `virtual:icon-subset` module, the
+ * `{ style: { name: [ width, height, path ] } }` icons in use
+ * @param {Object} options
+ * @param {string} options.aposHost - Backend URL, overridden by the
+ *  `APOS_HOST` environment variable
+ * @returns {import('astro').AstroIntegration}
+ */
+export function iconSubset({ aposHost }) {
+  return {
+    name: 'icon-subset',
+    hooks: {
+      'astro:config:setup': async ({ command, config, updateConfig, logger }) => {
+        let icons;
+        if (command === 'dev') {
+          icons = getAllIcons();
+        } else {
+          const used = [
+            ...await scanSources(new URL('./src/', config.root)),
+            ...await fetchUsedIcons(process.env.APOS_HOST || aposHost, logger)
+          ];
+          icons = getSubset(used);
+          const count = Object.values(icons)
+            .reduce((total, style) => total + Object.keys(style).length, 0);
+          logger.info(`Included ${count} icons`);
+        }
+        updateConfig({
+          vite: {
+            plugins: [ {
+              name: 'icon-subset',
+              resolveId(id) {
+                return id === VIRTUAL_MODULE ? RESOLVED_MODULE : null;
+              },
+              load(id) {
+                return id === RESOLVED_MODULE
+                  ? `export default ${JSON.stringify(icons)};`
+                  : null;
+              }
+            } ]
+          }
+        });
+      }
+    }
+  };
+}
+
+// Icons named in the `.astro`, `.js` and `.ts` files of a directory
+async function scanSources(dir) {
+  const icons = [];
+  const files = await readdir(dir, { recursive: true });
+  for (const file of files) {
+    if (!/\.(astro|js|ts)$/.test(file)) {
+      continue;
+    }
+    const source = await readFile(join(fileURLToPath(dir), file), 'utf8');
+    for (const [ , attributes ] of source.matchAll(/<Icon\b([^>]*)>/g)) {
+      const name = attributes.match(/\bname=['"]([\w-]+)['"]/);
+      const style = attributes.match(/\bstyle=['"](\w+)['"]/);
+      if (name) {
+        icons.push({
+          name: name[1],
+          style: style?.[1]
+        });
+      }
+    }
+    const literals = /\{\s*name:\s*['"]([\w-]+)['"](?:,\s*style:\s*['"](\w+)['"])?\s*\}/g;
+    for (const [ , name, style ] of source.matchAll(literals)) {
+      icons.push({
+        name,
+        style
+      });
+    }
+  }
+  return icons;
+}
+
+// Icons of the backend `icon` fields. The build goes on without them when
+// the backend can't be reached, older field values then render no icon
+async function fetchUsedIcons(aposHost, logger) {
+  if (!process.env.APOS_EXTERNAL_FRONT_KEY) {
+    logger.warn('APOS_EXTERNAL_FRONT_KEY is not set, icons of the backend documents are not included');
+    return [];
+  }
+  try {
+    const response = await fetch(new URL('/api/v1/icon-field/used', aposHost), {
+      headers: getBackendHeaders(),
+      signal: AbortSignal.timeout(BACKEND_TIMEOUT)
+    });
+    if (!response.ok) {
+      throw new Error(`status ${response.status}`);
+    }
+    const { icons } = await response.json();
+    return icons;
+  } catch (e) {
+    logger.warn(`Could not list the icons of the backend documents (${e.message})`);
+    return [];
+  }
+}
+
+function getSubset(used) {
+  const subset = {};
+  for (const { name, style = 'solid' } of used) {
+    const iconName = name.trim().toLowerCase().replace(/^fa-/, '');
+    const definition = getIndex(style)?.get(iconName);
+    if (definition) {
+      subset[style] ||= {};
+      subset[style][iconName] = format(definition);
+    }
+  }
+  return subset;
+}
+
+function getAllIcons() {
+  const icons = {};
+  for (const style of Object.keys(PACKS)) {
+    icons[style] = {};
+    for (const [ name, definition ] of getIndex(style)) {
+      icons[style][name] = format(definition);
+    }
+  }
+  return icons;
+}
+
+const indexes = new Map();
+
+// Index a pack by icon name and by the older names Font Awesome keeps as
+// aliases, like `search` for `magnifying-glass`
+function getIndex(style) {
+  if (!PACKS[style]) {
+    return null;
+  }
+  if (!indexes.has(style)) {
+    const index = new Map();
+    for (const definition of Object.values(PACKS[style])) {
+      const [ , , aliases ] = definition.icon;
+      index.set(definition.iconName, definition);
+      for (const alias of aliases) {
+        if (typeof alias === 'string' && !index.has(alias)) {
+          index.set(alias, definition);
+        }
+      }
+    }
+    indexes.set(style, index);
+  }
+  return indexes.get(style);
+}
+
+function format(definition) {
+  const [ width, height, , , path ] = definition.icon;
+  return [ width, height, Array.isArray(path) ? path.join(' ') : path ];
+}
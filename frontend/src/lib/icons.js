@@ -0,0 +1,52 @@
+import icons from 'virtual:icon-subset';
+
+// Font Awesome icons by style and name, limited by the build to the icons
+// in use, see `src/lib/icon-subset.js`. Icons are rendered as inline SVG on
+// the server, so pages only carry the icons they show and no icon font or
+// third-party style sheet is loaded
+
+/**
+ * Find a Font Awesome icon by name. Accepts the names editors enter, with
+ * or without the `fa-` prefix, and the older alias names of icons
+ * @param {string} name - Icon name, like `arrow-right`
+ * @param {string} [style='solid'] - `solid`, `regular` or `brands`
+ * @returns {Object|null} Icon with `width`, `height` and SVG `path`, or null
+ * when the build did not include such an icon
+ */
+export function getIcon(name, style = 'solid') {
+  if (typeof name !== 'string') {
+    return null;
+  }
+  const iconName = name.trim().toLowerCase().replace(/^fa-/, '');
+  const icon = icons[style]?.[iconName];
+  if (!icon) {
+    return null;
+  }
+  const [ width, height, path ] = icon;
+  return {
+    width,
+    height,
+    path
+  };
+}
+
+/**
+ * Find the icon picked in an `icon` schema field
+ * @param {Object|string} value - Field value with `name` and `style`, and
+ * the SVG of the icon since the build step exists, or a solid icon name
+ * saved before the field type existed
+ * @returns {Object|null} Icon like `getIcon`, or null when none is set
+ */
+export function getFieldIcon(value) {
+  if (typeof value === 'string') {
+    return getIcon(value);
+  }
+  if (value?.path) {
+    return {
+      width: value.width,
+      height: value.height,
+      path: value.path
+    };
+  }
+  return value?.name ? getIcon(value.name, value.style) : null;
+}
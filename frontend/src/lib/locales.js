@@ -0,0 +1,61 @@
+/**
+ * Get where the locale switcher shows, from the global header settings
+ * @param {Object} aposData - Data returned by `aposPageFetch`
+ * @returns {string} `dropdown`, `flags`, `footer` or `hidden`
+ */
+export function getLocaleSwitcherDisplay(aposData) {
+  return aposData.global?.headerGroup?.localeSwitcher || 'dropdown';
+}
+
+/**
+ * Get the links of the locale switcher. Each locale links to the published
+ * equivalent of the current page or article, otherwise to the locale home
+ * page or, if the global header settings say so, is left out
+ * @param {Object} aposData - Data returned by `aposPageFetch`
+ * @returns {Array} Links with `locale`, `label`, `url`, `flag`, `current`
+ *  and `equivalent`, empty when there is no other locale to switch to
+ */
+export function getLocaleLinks(aposData) {
+  const current = aposData.i18n?.locale;
+  const fallback = aposData.global?.headerGroup?.localeFallback || 'home';
+  const alternates = aposData.alternates || [];
+  const links = (aposData.localizations || []).flatMap(localization => {
+    const alternate = alternates.find(
+      ({ locale }) => locale === localization.locale
+    );
+    const isCurrent = localization.locale === current;
+    if (!alternate && !isCurrent && fallback === 'hide') {
+      return [];
+    }
+    return [ {
+      locale: localization.locale,
+      label: localization.label || localization.locale,
+      url: alternate?.url || localization.homePageUrl,
+      flag: getFlag(localization.locale),
+      current: isCurrent,
+      equivalent: Boolean(alternate)
+    } ];
+  });
+  return links.length > 1 ? links : [];
+}
+
+/**
+ * Get the flag emoji of the region a locale is most likely used in,
+ * e.g. 🇺🇸 for `en` and 🇫🇷 for `fr`
+ * @param {string} locale - Locale name
+ * @returns {string} The flag, or an empty string if the region is unknown
+ */
+export function getFlag(locale) {
+  let region;
+  try {
+    region = new Intl.Locale(locale).maximize().region;
+  } catch (e) {
+    return '';
+  }
+  if (!/^[A-Z]{2}$/.test(region || '')) {
+    return '';
+  }
+  return String.fromCodePoint(
+    ...[ ...region ].map(letter => 0x1F1E6 + letter.charCodeAt(0) - 65)
+  );
+}
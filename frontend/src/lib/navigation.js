@@ -0,0 +1,106 @@
+/**
+ * Build the header navigation. Uses the navigation builder in global
+ * settings when it has items, otherwise the pages below the home page
+ * @param {Object} aposData - Data returned by `aposPageFetch`
+ * @returns {Array} Menu items with `label`, `url`, `description`, `icon`,
+ * `newTab`, `active` and `children`
+ */
+export function getNavigation(aposData) {
+  const currentUrl = aposData.page?._url;
+  const menu = aposData.global?.navigation || [];
+
+  if (menu.length) {
+    return menu.map(item => formatMenuItem(item, currentUrl)).filter(Boolean);
+  }
+  return (aposData.home?._children || [])
+    .map(page => formatPage(page, currentUrl))
+    .filter(Boolean);
+}
+
+function formatPage(page, currentUrl) {
+  if (!page) {
+    return null;
+  }
+  return {
+    id: page._id,
+    type: 'page',
+    label: page.title || '',
+    url: page._url || '#',
+    active: page._url === currentUrl,
+    children: page._children?.map(child => formatPage(child, currentUrl)).filter(Boolean) || []
+  };
+}
+
+function formatMenuItem(item, currentUrl) {
+  let url = null;
+  let label = item.label;
+  if (item.itemType === 'page') {
+    const page = item._page?.[0];
+    // The page was removed or unpublished
+    if (!page) {
+      return null;
+    }
+    url = page._url;
+    label = label || page.title;
+  } else if (item.itemType === 'url') {
+    url = item.url;
+  }
+  const children = (item.children || [])
+    .map(child => formatMenuItem(child, currentUrl))
+    .filter(Boolean);
+  if (item.itemType === 'group' && !children.length) {
+    return null;
+  }
+  return {
+    id: item._id,
+    type: item.itemType,
+    label: label || '',
+    url,
+    description: item.description,
+    icon: item.icon,
+    newTab: Boolean(item.newTab),
+    active: Boolean(url) && url === currentUrl,
+    children
+  };
+}
+
+/**
+ * Arrange the children of a top-level item into dropdown columns. Each
+ * column group becomes a column, and links between groups share a column
+ * without a heading
+ * @param {Object} item - Menu item from `getNavigation`
+ * @returns {Array} Columns with an optional `heading` item and `items`
+ */
+export function getDropdownColumns(item) {
+  const columns = [];
+  let links = null;
+  for (const child of item.children) {
+    if (child.type === 'group') {
+      links = null;
+      columns.push({
+        heading: child,
+        items: child.children
+      });
+    } else {
+      if (!links) {
+        links = {
+          heading: null,
+          items: []
+        };
+        columns.push(links);
+      }
+      links.items.push(child);
+    }
+  }
+  return columns;
+}
+
+/**
+ * Check whether an item opens a multi-column mega menu rather than a
+ * simple dropdown list
+ * @param {Object} item - Menu item from `getNavigation`
+ * @returns {boolean} True if any child is a column group
+ */
+export function isMegaMenu(item) {
+  return item.children.some(child => child.type === 'group');
+}
@@ -0,0 +1,15 @@
+import { getLocalPath } from './forms.js';
+
+/**
+ * Get the URL to send a visitor back to after signing up to the newsletter
+ * without JavaScript. The backend shows the notice of `status` on it
+ * @param {string} page - Path of the page the signup form is on
+ * @param {string} status - `pending`, `invalidEmail` or `error`
+ * @param {string} origin - Origin of this site
+ * @returns {URL} The page URL with the status in its query string
+ */
+export function getNewsletterResultUrl(page, status, origin) {
+  const url = new URL(getLocalPath(page), origin);
+  url.searchParams.set('newsletter', status);
+  return url;
+}
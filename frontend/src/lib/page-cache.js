@@ -0,0 +1,214 @@
+import { createHash } from 'node:crypto';
+
+// In-memory cache of pages rendered for anonymous visitors, so a traffic
+// spike renders each page once rather than once per visitor. Entries are
+// dropped when the backend publishes content (see
+// `src/pages/api/page-cache/invalidate.js`) and after `PAGE_CACHE_TTL`
+// seconds as a safety net. Each server process has its own cache.
+//
+// Environment variables:
+// - `PAGE_CACHE`: set to `0` to turn the cache off
+// - `PAGE_CACHE_TTL`: seconds a page is kept, 600 by default
+// - `PAGE_CACHE_MAX_ENTRIES`: pages kept at most, 500 by default
+// - `PAGE_CACHE_MAX_AGE`: seconds shared caches like CDNs may serve a page
+//   without asking again (`s-maxage`), 60 by default
+// - `PAGE_CACHE_STALE`: seconds they may then serve it while refreshing it
+//   (`stale-while-revalidate`), 600 by default
+
+const ENABLED = process.env.PAGE_CACHE !== '0';
+const TTL = getNumber('PAGE_CACHE_TTL', 600);
+const MAX_ENTRIES = getNumber('PAGE_CACHE_MAX_ENTRIES', 500);
+const MAX_AGE = getNumber('PAGE_CACHE_MAX_AGE', 60);
+const STALE = getNumber('PAGE_CACHE_STALE', 600);
+
+// Query parameters that do not change the page, left out of cache keys so
+// campaign links share one entry
+const IGNORED_PARAMS = /^(utm_.*|fbclid|gclid|msclkid)$/;
+
+// Routes proxied to the backend or answered by endpoints, not pages
+const SKIPPED_PATHS = /^(\/[\w-]+)?\/(api|apos-frontend|uploads|login)(\/|$)/;
+
+// Response headers that belong to one visitor, never replayed from cache
+const PRIVATE_HEADERS = [ 'set-cookie', 'content-length' ];
+
+// Map order is insertion order: the first entry is the least recently used
+const entries = new Map();
+// Renders in progress by key, shared by concurrent requests for one page
+const pending = new Map();
+// Increased by `clearPageCache` so renders started before an
+// invalidation are not stored after it
+let generation = 0;
+
+function getNumber(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+/**
+ * Whether a request can be answered from the cache: a GET by a visitor who
+ * is not logged in and not previewing drafts
+ * @param {Request} request - Incoming request
+ * @param {URL} url - Its URL
+ * @returns {boolean}
+ */
+export function isCacheableRequest(request, url) {
+  if (!ENABLED || request.method !== 'GET') {
+    return false;
+  }
+  if (SKIPPED_PATHS.test(url.pathname)) {
+    return false;
+  }
+  if (request.headers.has('authorization')) {
+    return false;
+  }
+  // Apostrophe only sets a session cookie once there is something to keep,
+  // like a login, and marks logged in browsers with `<shortName>.loggedIn`
+  const cookie = request.headers.get('cookie') || '';
+  if (/(^|;\s*)[^=;]+\.(sid|loggedIn)=(?!false\b)/.test(cookie)) {
+    return false;
+  }
+  // `aposMode`, `aposRefresh` and the like are editing requests
+  return ![ ...url.searchParams.keys() ].some(name => name.startsWith('apos'));
+}
+
+/**
+ * Cache key of a page. The locale is part of it through its URL prefix or
+ * hostname, and query parameters are sorted so their order does not matter
+ * @param {URL} url - Page URL
+ * @returns {string}
+ */
+export function getCacheKey(url) {
+  const params = [ ...url.searchParams ]
+    .filter(([ name ]) => !IGNORED_PARAMS.test(name))
+    .sort(([ a ], [ b ]) => a.localeCompare(b));
+  const query = new URLSearchParams(params).toString();
+  return `${url.host}${url.pathname}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Get a cached page, rendering and storing it when missing or expired.
+ * Concurrent requests for a page share one render
+ * @param {string} key - Cache key from `getCacheKey`
+ * @param {Function} render - Renders the page, returns a `Response`
+ * @returns {Promise<{entry: Object|null, response: Response|null, hit: boolean}>}
+ * The cached entry, or the rendered response when it cannot be cached
+ */
+export async function getCachedPage(key, render) {
+  const entry = entries.get(key);
+  if (entry && entry.expires > Date.now()) {
+    // Move the entry to the end of the least recently used order
+    entries.delete(key);
+    entries.set(key, entry);
+    return {
+      entry,
+      response: null,
+      hit: true
+    };
+  }
+  if (pending.has(key)) {
+    const shared = await pending.get(key);
+    if (shared.entry) {
+      return shared;
+    }
+    // The page cannot be cached, render it for this request as well
+    return {
+      entry: null,
+      response: await render(),
+      hit: false
+    };
+  }
+  const rendering = store(key, render);
+  pending.set(key, rendering);
+  try {
+    return await rendering;
+  } finally {
+    pending.delete(key);
+  }
+}
+
+async function store(key, render) {
+  const started = generation;
+  const response = await render();
+  if (!isCacheableResponse(response)) {
+    return {
+      entry: null,
+      response,
+      hit: false
+    };
+  }
+  const body = await response.text();
+  const entry = {
+    body,
+    status: response.status,
+    headers: [ ...response.headers ].filter(([ name ]) =>
+      !PRIVATE_HEADERS.includes(name)
+    ),
+    etag: `"${createHash('sha1').update(body).digest('base64url')}"`,
+    expires: Date.now() + TTL * 1000
+  };
+  if (started === generation) {
+    entries.delete(key);
+    entries.set(key, entry);
+    while (entries.size > MAX_ENTRIES) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+  return {
+    entry,
+    response: null,
+    hit: false
+  };
+}
+
+// Only complete HTML pages that were not marked private by the backend
+function isCacheableResponse(response) {
+  const type = response.headers.get('content-type') || '';
+  const cacheControl = response.headers.get('cache-control') || '';
+  return response.status === 200 &&
+    type.startsWith('text/html') &&
+    !response.headers.has('set-cookie') &&
+    !/no-store|private/.test(cacheControl);
+}
+
+/**
+ * Build the response for a cached page: `304 Not Modified` when the
+ * browser already has it, per its `If-None-Match` header
+ * @param {Object} entry - Cached entry from `getCachedPage`
+ * @param {Request} request - Incoming request
+ * @param {boolean} hit - Whether the page came from the cache
+ * @returns {Response}
+ */
+export function getCachedResponse(entry, request, hit) {
+  const headers = new Headers(entry.headers);
+  headers.set('etag', entry.etag);
+  headers.set(
+    'cache-control',
+    `public, max-age=0, s-maxage=${MAX_AGE}, stale-while-revalidate=${STALE}`
+  );
+  headers.set('x-cache', hit ? 'HIT' : 'MISS');
+  const match = (request.headers.get('if-none-match') || '')
+    .split(',')
+    .map(tag => tag.trim().replace(/^W\//, ''));
+  if (match.includes(entry.etag) || match.includes('*')) {
+    headers.delete('content-type');
+    return new Response(null, {
+      status: 304,
+      headers
+    });
+  }
+  return new Response(entry.body, {
+    status: entry.status,
+    headers
+  });
+}
+
+/**
+ * Drop every cached page, for example after content was published
+ * @returns {number} Number of pages dropped
+ */
+export function clearPageCache() {
+  const count = entries.size;
+  entries.clear();
+  generation++;
+  return count;
+}
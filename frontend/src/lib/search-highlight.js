@@ -0,0 +1,45 @@
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} value - The raw string
+ * @returns {string} The escaped string
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Split text into segments so that matched search terms can be wrapped
+ * in `<mark>` elements without rendering raw HTML
+ * @param {string} text - The text to highlight
+ * @param {Array<string>} terms - Search terms to match, case-insensitively
+ * @returns {Array<{text: string, match: boolean}>} Ordered text segments
+ *
+ * @example
+ * getHighlightSegments('Astro and Apostrophe', ['apos']);
+ * // [{ text: 'Astro and ', match: false }, { text: 'Apos', match: true }, ...]
+ */
+export function getHighlightSegments(text, terms = []) {
+  if (!text) return [];
+
+  const validTerms = terms.filter(Boolean);
+  if (!validTerms.length) {
+    return [{ text, match: false }];
+  }
+
+  // Longest terms first so "apostrophe" wins over "apos"
+  const pattern = new RegExp(
+    `(${validTerms
+      .sort((a, b) => b.length - a.length)
+      .map(escapeRegExp)
+      .join('|')})`,
+    'gi'
+  );
+
+  return text
+    .split(pattern)
+    .filter(Boolean)
+    .map((part) => ({
+      text: part,
+      match: validTerms.some((term) => term.toLowerCase() === part.toLowerCase())
+    }));
+}
@@ -0,0 +1,236 @@
+import { getAttachmentUrl } from './attachments.js';
+import { getBreadcrumbs, showBreadcrumbs } from './breadcrumbs.js';
+
+/**
+ * Resolve a URL against the site origin. URLs are already absolute when the
+ * backend has `APOS_BASE_URL` set
+ * @param {string} url - Relative or absolute URL
+ * @param {string} origin - Origin of the current request
+ * @returns {string|undefined} The absolute URL
+ */
+export function absoluteUrl(url, origin) {
+  if (!url) {
+    return undefined;
+  }
+  return new URL(url, origin).href;
+}
+
+/**
+ * Get the site name, preferring the SEO setting over the header title
+ * @param {Object} global - The global document
+ * @returns {string|undefined} The site name
+ */
+export function getSiteName(global) {
+  return global?.seoSiteName || global?.brandingGroup?.siteTitle;
+}
+
+/**
+ * Get the share image for a page or piece: the article hero image, or the
+ * site logo as a fallback
+ * @param {Object} aposData - Data returned by `aposPageFetch`
+ * @returns {Object|null} Image with `url`, `alt`, `width` and `height`, and
+ * `large` when it is suitable for large link previews
+ */
+export function getSeoImage(aposData) {
+  const document = aposData.piece || aposData.page;
+  const hero = document?._heroImage?.[0];
+  if (hero?.attachment) {
+    return {
+      url: getAttachmentUrl(hero, { size: 'full' }),
+      alt: hero.alt || hero.title,
+      width: hero._fields?.width || hero.attachment.width,
+      height: hero._fields?.height || hero.attachment.height,
+      large: true
+    };
+  }
+  const logo = aposData.global?.brandingGroup?.siteLogo;
+  if (logo?._urls) {
+    return {
+      url: getAttachmentUrl(logo, { size: 'full' }),
+      alt: getSiteName(aposData.global),
+      large: false
+    };
+  }
+  return null;
+}
+
+/**
+ * Get the canonical URL: the canonical page or piece chosen in the SEO
+ * settings, otherwise the URL of the document itself
+ * @param {Object} aposData - Data returned by `aposPageFetch`
+ * @returns {string|undefined} The canonical URL, possibly relative
+ */
+export function getCanonicalUrl(aposData) {
+  const document = aposData.piece || aposData.page;
+  if (!document) {
+    return undefined;
+  }
+  const selected = document._seoCanonical?.[0] ||
+    (document.seoSelectType && document[document.seoSelectType]?.[0]);
+  if (selected?._url) {
+    return selected._url;
+  }
+  // Later pages of an index are distinct pages, so each is its own canonical
+  if (!aposData.piece && aposData.currentPage > 1) {
+    return aposData.staticUrls
+      ? `${document._url.replace(/\/$/, '')}/page/${aposData.currentPage}`
+      : `${document._url}?page=${aposData.currentPage}`;
+  }
+  return document._url;
+}
+
+function getArticleSchema(aposData, { origin, url, image, publisher }) {
+  const { piece, i18n } = aposData;
+  return {
+    '@type': 'Article',
+    '@id': `${url}#article`,
+    headline: piece.seoTitle || piece.title,
+    description: piece.seoDescription || piece.excerpt || undefined,
+    image: image ? [ image.url ] : undefined,
+    datePublished: piece.publishDate || undefined,
+    dateModified: piece.updatedAt || undefined,
+    inLanguage: i18n?.locale,
+    wordCount: piece.wordCount || undefined,
+    keywords: (piece._tags || []).map(tag => tag.title).join(', ') || undefined,
+    articleSection: piece._category?.[0]?.title,
+    author: (piece._author || []).map(author => ({
+      '@type': 'Person',
+      name: author.title,
+      url: absoluteUrl(author._url, origin)
+    })),
+    publisher,
+    mainEntityOfPage: url
+  };
+}
+
+/**
+ * Build the JSON-LD graph for a page: `WebSite` for the home page,
+ * `Article` for article pages and a `BreadcrumbList` for the page ancestors
+ * @param {Object} aposData - Data returned by `aposPageFetch`
+ * @param {Object} options
+ * @param {string} options.origin - Origin of the current request
+ * @param {string} options.url - Absolute canonical URL
+ * @param {Object|null} options.image - Image from `getSeoImage`
+ * @returns {Object|null} JSON-LD data, or `null` if there is nothing to describe
+ */
+export function getJsonLd(aposData, { origin, url, image }) {
+  const { page, piece, global } = aposData;
+  const siteName = getSiteName(global);
+  const homeUrl = absoluteUrl(page?._ancestors?.[0]?._url || page?._url, origin);
+  const logo = global?.brandingGroup?.siteLogo;
+  const publisher = {
+    '@type': global?.seoJsonLdOrganization?.type || 'Organization',
+    name: global?.seoJsonLdOrganization?.name || siteName,
+    url: homeUrl,
+    logo: logo?._urls
+      ? {
+        '@type': 'ImageObject',
+        url: absoluteUrl(getAttachmentUrl(logo, { size: 'full' }), origin)
+      }
+      : undefined,
+    sameAs: (global?.seoSocialProfiles || []).map(profile => profile.profileUrl)
+  };
+  const graph = [];
+
+  if (page?.type === '@apostrophecms/home-page' && !piece) {
+    graph.push({
+      '@type': 'WebSite',
+      '@id': `${homeUrl}#website`,
+      name: siteName,
+      description: global?.seoSiteDescription || page.seoDescription || undefined,
+      url: homeUrl,
+      inLanguage: aposData.i18n?.locale,
+      publisher
+    });
+  }
+
+  if (piece?.type === 'article') {
+    graph.push(getArticleSchema(aposData, {
+      origin,
+      url,
+      image,
+      publisher
+    }));
+  }
+
+  const crumbs = showBreadcrumbs(aposData) ? getBreadcrumbs(aposData) : [];
+  if (crumbs.length > 1) {
+    graph.push({
+      '@type': 'BreadcrumbList',
+      itemListElement: crumbs.map((crumb, index) => ({
+        '@type': 'ListItem',
+        position: index + 1,
+        name: crumb.title,
+        item: absoluteUrl(crumb.url, origin)
+      }))
+    });
+  }
+
+  return graph.length
+    ? {
+      '@context': 'https://schema.org',
+      '@graph': graph
+    }
+    : null;
+}
+
+/**
+ * Serialize JSON-LD for an inline script. Escapes `<` so that content
+ * written by editors can't close the script element
+ * @param {Object} data - JSON-LD data
+ * @returns {string} Script contents
+ */
+export function serializeJsonLd(data) {
+  return JSON.stringify(data).replace(/</g, '\\u003c');
+}
+
+/**
+ * Get the `@handle` of the Twitter/X profile in the global SEO settings
+ * @param {Object} global - The global document
+ * @returns {string|undefined} The handle
+ */
+export function getTwitterHandle(global) {
+  const profile = (global?.seoSocialProfiles || [])
+    .find(profile => profile.platform === 'twitter');
+  const handle = profile?.profileUrl?.replace(/\/+$/, '').split('/').pop();
+  return handle ? `@${handle.replace(/^@/, '')}` : undefined;
+}
+
+/**
+ * Gather the metadata rendered by the `SeoHead` component
+ * @param {Object} aposData - Data returned by `aposPageFetch`
+ * @param {string} origin - Origin of the current request
+ * @returns {Object} Titles, description, URLs, image and JSON-LD
+ */
+export function getSeoData(aposData, origin) {
+  const { page, piece, global } = aposData;
+  const document = piece || page;
+  const url = absoluteUrl(getCanonicalUrl(aposData), origin);
+  const image = getSeoImage(aposData);
+  if (image) {
+    image.url = absoluteUrl(image.url, origin);
+  }
+  return {
+    title: document?.seoTitle || document?.title,
+    description: document?.seoDescription || piece?.excerpt,
+    // Drafts shared with preview links stay out of search engines
+    robots: aposData.preview
+      ? 'noindex,nofollow'
+      : document?.seoRobots?.join(','),
+    siteName: getSiteName(global),
+    twitterSite: getTwitterHandle(global),
+    locale: aposData.i18n?.locale,
+    url,
+    type: piece?.type === 'article' ? 'article' : 'website',
+    image,
+    alternates: (aposData.alternates || []).map(alternate => ({
+      ...alternate,
+      url: absoluteUrl(alternate.url, origin)
+    })),
+    jsonLd: getJsonLd(aposData, {
+      origin,
+      url,
+      image
+    })
+  };
+}
@@ -0,0 +1,131 @@
+import { existsSync } from 'node:fs';
+import { readFile, rename, rm, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+
+// Static builds (`npm run build:static`) render every URL listed by the
+// backend, in each locale. Incremental builds
+// (`npm run build:static:incremental`) keep the previous output and only
+// render again the pages of documents published since the previous build,
+// as reported by the backend `static-export` module. They fall back to
+// rendering everything when the global settings or a page changed, or
+// when URLs were added or removed, and delete the files of removed URLs.
+//
+// The URLs and date of the last build are kept in `.static-export.json`,
+// next to `package.json`. A build writes them to a pending file, which
+// replaces it once the build completed.
+
+const MANIFEST = '.static-export.json';
+const PENDING = '.static-export.pending.json';
+
+const isIncremental = process.env.APOS_STATIC_INCREMENTAL === '1';
+
+let selection = null;
+
+/**
+ * Astro integration finishing static builds: deletes the files of URLs
+ * that no longer exist and saves the manifest for the next incremental
+ * build
+ * @returns {import('astro').AstroIntegration}
+ */
+export function staticExport() {
+  return {
+    name: 'static-export',
+    hooks: {
+      'astro:config:setup': ({ updateConfig }) => {
+        if (isIncremental) {
+          updateConfig({
+            vite: {
+              build: {
+                emptyOutDir: false
+              }
+            }
+          });
+        }
+      },
+      'astro:build:done': async ({ dir, logger }) => {
+        const pending = await readJson(PENDING);
+        if (!pending) {
+          return;
+        }
+        for (const url of pending.removed) {
+          await rm(join(dir.pathname, url, 'index.html'), { force: true });
+        }
+        await rename(PENDING, MANIFEST);
+        logger.info(
+          `Rendered ${pending.rendered} of ${pending.urls.length} URLs, removed ${pending.removed.length}`
+        );
+      }
+    }
+  };
+}
+
+/**
+ * The `getStaticPaths` entries to render in this build: all of them, or
+ * those of changed documents in incremental builds
+ * @returns {Promise<Array<{params: Object, props: Object}>>}
+ */
+export function getStaticExportPaths() {
+  // Shared by the page and feed routes, so the backend is asked once
+  selection ||= selectPaths();
+  return selection;
+}
+
+async function selectPaths() {
+  const {
+    getAllStaticPaths,
+    getAposHost
+  } = await import('@apostrophecms/apostrophe-astro/helpers/server');
+  const started = new Date();
+  const options = {
+    aposHost: getAposHost(),
+    aposExternalFrontKey: process.env.APOS_EXTERNAL_FRONT_KEY
+  };
+  const paths = await getAllStaticPaths(options);
+  const urls = paths.map(path => path.props.url);
+  const previous = isIncremental && existsSync(join('dist', 'index.html'))
+    ? await readJson(MANIFEST)
+    : null;
+  let selected = paths;
+  let removed = [];
+  if (previous) {
+    removed = previous.urls.filter(url => !urls.includes(url));
+    const added = urls.filter(url => !previous.urls.includes(url));
+    const changes = await fetchChanges(previous.builtAt, options);
+    if (!changes.full && !added.length && !removed.length) {
+      const docIds = new Set(changes.docIds);
+      selected = paths.filter(path => docIds.has(path.props.aposDocId));
+    }
+  }
+  await writeFile(PENDING, JSON.stringify({
+    builtAt: started.toISOString(),
+    urls,
+    removed,
+    rendered: selected.length
+  }));
+  return selected;
+}
+
+async function fetchChanges(since, { aposExternalFrontKey }) {
+  const { aposFetch } = await import('@apostrophecms/apostrophe-astro/helpers/server');
+  const response = await aposFetch(
+    `/api/v1/static-export/changes?since=${encodeURIComponent(since)}`,
+    {
+      headers: {
+        'x-requested-with': 'AposExternalFront',
+        'apos-external-front-key': aposExternalFrontKey
+      }
+    }
+  );
+  if (!response.ok) {
+    throw new Error(`Could not list the changed documents (${response.status})`);
+  }
+  return response.json();
+}
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await readFile(file, 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
@@ -0,0 +1,446 @@
+// Brand colors of the theme settings, by Bulma color name
+const THEME_COLORS = [
+  'primary',
+  'secondary',
+  'accent',
+  'link',
+  'info',
+  'success',
+  'warning',
+  'danger'
+];
+
+// Font stacks by the keys of the font choices in
+// `backend/lib/schema-mixins/theme-fields.js`. `google` is the family
+// requested from Google Fonts, with the weights it provides
+const FONTS = {
+  system: {
+    stack: 'system-ui, -apple-system, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif'
+  },
+  inter: {
+    stack: '"Inter", sans-serif',
+    google: 'Inter:wght@400;500;600;700;800'
+  },
+  roboto: {
+    stack: '"Roboto", sans-serif',
+    google: 'Roboto:wght@400;500;700'
+  },
+  'open-sans': {
+    stack: '"Open Sans", sans-serif',
+    google: 'Open+Sans:wght@400;500;600;700;800'
+  },
+  lato: {
+    stack: '"Lato", sans-serif',
+    google: 'Lato:wght@400;700'
+  },
+  montserrat: {
+    stack: '"Montserrat", sans-serif',
+    google: 'Montserrat:wght@400;500;600;700;800'
+  },
+  poppins: {
+    stack: '"Poppins", sans-serif',
+    google: 'Poppins:wght@400;500;600;700;800'
+  },
+  merriweather: {
+    stack: '"Merriweather", Georgia, serif',
+    google: 'Merriweather:wght@400;700'
+  },
+  lora: {
+    stack: '"Lora", Georgia, serif',
+    google: 'Lora:wght@400;500;600;700'
+  },
+  'playfair-display': {
+    stack: '"Playfair Display", Georgia, serif',
+    google: 'Playfair+Display:wght@400;500;600;700;800'
+  },
+  georgia: {
+    stack: 'Georgia, "Times New Roman", serif'
+  }
+};
+
+// Minimum contrast of text against the page background (WCAG AA)
+const MIN_CONTRAST = 4.5;
+
+// Used until the dark mode settings are saved, same as the defaults of
+// `backend/lib/schema-mixins/dark-mode-fields.js`
+const DEFAULT_DARK_COLORS = {
+  headerBackgroundColor: 'black-ter',
+  headerTextColor: 'white-ter',
+  footerBackgroundColor: 'black-bis',
+  footerTextColor: 'white-ter',
+  footerLinkColor: 'grey-lighter'
+};
+
+const DEFAULT_WIDGET_BACKGROUNDS = [
+  {
+    color: 'white',
+    darkColor: 'black-ter',
+    textColor: 'white-ter'
+  },
+  {
+    color: 'white-bis',
+    darkColor: 'black-bis',
+    textColor: 'white-ter'
+  },
+  {
+    color: 'white-ter',
+    darkColor: 'black-bis',
+    textColor: 'white-ter'
+  },
+  {
+    color: 'light',
+    darkColor: 'dark',
+    textColor: 'light'
+  }
+];
+
+// Roots of the dark scheme: the system preference unless the header toggle
+// picked light, and the dark scheme picked with the toggle. Same as the
+// `dark-scheme` mixin of `main.scss`
+const SYSTEM_DARK_ROOT = ':root:not([data-theme=\'light\'])';
+const DARK_ROOT = ':root[data-theme=\'dark\']';
+
+function parseHex(value) {
+  const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(value?.trim() || '');
+  if (!match) {
+    return null;
+  }
+  let hex = match[1];
+  if (hex.length === 3) {
+    hex = [ ...hex ].map(digit => digit + digit).join('');
+  }
+  return [ 0, 2, 4 ].map(start => parseInt(hex.slice(start, start + 2), 16));
+}
+
+function rgbToHsl([ r, g, b ]) {
+  const [ red, green, blue ] = [ r / 255, g / 255, b / 255 ];
+  const max = Math.max(red, green, blue);
+  const min = Math.min(red, green, blue);
+  const l = (max + min) / 2;
+  let h = 0;
+  let s = 0;
+  if (max !== min) {
+    const delta = max - min;
+    s = l > 0.5 ? delta / (2 - max - min) : delta / (max + min);
+    if (max === red) {
+      h = (green - blue) / delta + (green < blue ? 6 : 0);
+    } else if (max === green) {
+      h = (blue - red) / delta + 2;
+    } else {
+      h = (red - green) / delta + 4;
+    }
+    h *= 60;
+  }
+  // Rounded like Bulma does when it registers its colors
+  return {
+    h: Math.round(h),
+    s: Math.round(s * 100),
+    l: Math.round(l * 100)
+  };
+}
+
+function hslToRgb({ h, s, l }) {
+  const saturation = s / 100;
+  const lightness = l / 100;
+  const k = n => (n + h / 30) % 12;
+  const a = saturation * Math.min(lightness, 1 - lightness);
+  const f = n => lightness - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+  return [ f(0), f(8), f(4) ].map(channel => Math.round(channel * 255));
+}
+
+function luminance(rgb) {
+  const [ r, g, b ] = rgb.map(channel => {
+    const value = channel / 255;
+    return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function contrast(first, second) {
+  const [ lighter, darker ] = [ luminance(first), luminance(second) ].sort((a, b) => b - a);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+const WHITE = [ 255, 255, 255 ];
+const BLACK = [ 0, 0, 0 ];
+
+// Step the lightness of a color by `step` until it can be read on
+// `background`
+function getReadableLightness(hsl, background, step) {
+  let l = hsl.l;
+  while (l > 0 && l < 100 && contrast(hslToRgb({
+    ...hsl,
+    l
+  }), background) < MIN_CONTRAST) {
+    l = Math.min(Math.max(l + step, 0), 100);
+  }
+  return l;
+}
+
+function isColorName(value) {
+  return typeof value === 'string' && /^[a-z-]+$/.test(value);
+}
+
+function getColorVar(name) {
+  return name === 'transparent' ? 'transparent' : `var(--bulma-${name})`;
+}
+
+/**
+ * Get the Bulma custom properties of a brand color: its hue, saturation
+ * and lightness, the lightness of text placed on it (`invert`) and the
+ * lightness used when the color itself is text on the white page
+ * (`on-scheme`), darkened until it has enough contrast
+ * @param {string} name - Bulma color name, like `primary`
+ * @param {string} hex - Color from the theme settings
+ * @returns {Object|null} Custom property values by name, or null when the
+ * color is not set
+ */
+export function getColorProperties(name, hex) {
+  const rgb = parseHex(hex);
+  if (!rgb) {
+    return null;
+  }
+  const hsl = rgbToHsl(rgb);
+
+  // Dark text of the same hue on light colors, white text otherwise
+  const darkInvert = hslToRgb({
+    ...hsl,
+    l: 10
+  });
+  const invertL = contrast(rgb, darkInvert) > contrast(rgb, WHITE) ? 10 : 100;
+
+  const onSchemeL = getReadableLightness(hsl, WHITE, -5);
+
+  const invert = `hsla(var(--bulma-${name}-h), var(--bulma-${name}-s), var(--bulma-${name}-invert-l), 1)`;
+  return {
+    [`--bulma-${name}-h`]: `${hsl.h}deg`,
+    [`--bulma-${name}-s`]: `${hsl.s}%`,
+    [`--bulma-${name}-l`]: `${hsl.l}%`,
+    [`--bulma-${name}-rgb`]: rgb.join(', '),
+    [`--bulma-${name}-invert-l`]: `${invertL}%`,
+    [`--bulma-${name}-invert`]: invert,
+    [`--bulma-${name}-on-scheme-l`]: `${onSchemeL}%`
+  };
+}
+
+/**
+ * Get the lightness used when a brand color is text on the dark page,
+ * lightened until it has enough contrast
+ * @param {string} name - Bulma color name, like `primary`
+ * @param {string} hex - Color from the theme settings
+ * @returns {Object|null} Custom property values by name, or null when the
+ * color is not set
+ */
+export function getDarkColorProperties(name, hex) {
+  const rgb = parseHex(hex);
+  if (!rgb) {
+    return null;
+  }
+  const onSchemeL = getReadableLightness(rgbToHsl(rgb), BLACK, 5);
+  return {
+    [`--bulma-${name}-on-scheme-l`]: `${onSchemeL}%`
+  };
+}
+
+function rem(value) {
+  return `${Number(value.toFixed(3))}rem`;
+}
+
+/**
+ * Build the custom property overrides for the theme settings of the
+ * global document. Settings left empty keep the defaults of `main.scss`
+ * @param {Object} global - The global document
+ * @returns {Object} Custom property values by name
+ */
+export function getThemeProperties(global) {
+  const theme = global?.themeGroup || {};
+  const properties = {};
+
+  for (const name of THEME_COLORS) {
+    Object.assign(properties, getColorProperties(name, theme[`${name}Color`]));
+  }
+
+  const bodyFont = FONTS[theme.bodyFont];
+  const headingFont = FONTS[theme.headingFont] || bodyFont;
+  if (bodyFont) {
+    properties['--bulma-family-primary'] = bodyFont.stack;
+    properties['--family-primary'] = bodyFont.stack;
+  }
+  if (headingFont) {
+    properties['--heading-family'] = headingFont.stack;
+  }
+  if (theme.baseFontSize) {
+    properties['--bulma-body-font-size'] = theme.baseFontSize;
+  }
+  if (theme.headingWeight) {
+    properties['--bulma-title-weight'] = theme.headingWeight;
+  }
+
+  const scale = Number(theme.spacingScale);
+  if (scale && scale !== 1) {
+    properties['--bulma-block-spacing'] = rem(1.5 * scale);
+    properties['--bulma-section-padding'] = `${rem(3 * scale)} ${rem(1.5 * scale)}`;
+    properties['--bulma-section-padding-desktop'] = `${rem(3 * scale)} ${rem(3 * scale)}`;
+  }
+
+  if (typeof theme.radius === 'number') {
+    const radius = theme.radius / 16;
+    properties['--bulma-radius-small'] = rem(radius * 2 / 3);
+    properties['--bulma-radius'] = rem(radius);
+    properties['--bulma-radius-medium'] = rem(radius * 4 / 3);
+    properties['--bulma-radius-large'] = rem(radius * 2);
+  }
+
+  return properties;
+}
+
+/**
+ * Get the header and footer colors of the dark scheme
+ * @param {Object} global - The global document
+ * @returns {Object} Bulma color names by setting name, null when a color
+ * is not set
+ */
+export function getDarkModeColors(global) {
+  const darkMode = global?.darkModeGroup;
+  if (!darkMode) {
+    return { ...DEFAULT_DARK_COLORS };
+  }
+  return Object.fromEntries(Object.keys(DEFAULT_DARK_COLORS).map(name => [
+    name,
+    isColorName(darkMode[name]) ? darkMode[name] : null
+  ]));
+}
+
+/**
+ * Get the classes of a widget background color. The dark mode settings
+ * replace colors marked with `has-scheme-background` in the dark scheme
+ * @param {string} color - Bulma color name
+ * @returns {string} Classes, empty when no color is set
+ */
+export function getBackgroundClasses(color) {
+  return color ? `has-background-${color} has-scheme-background` : '';
+}
+
+/**
+ * Get a widget background color for inline styles, replaced in the dark
+ * scheme like the classes of `getBackgroundClasses`
+ * @param {string} color - Bulma color name
+ * @returns {string} CSS color value
+ */
+export function getBackgroundColor(color) {
+  return `var(--scheme-background-${color}, ${getColorVar(color)})`;
+}
+
+/**
+ * Get the widget background colors that are replaced in the dark scheme
+ * @param {Object} global - The global document
+ * @returns {Array} Replacements with `color`, `darkColor` and `textColor`
+ */
+export function getWidgetBackgrounds(global) {
+  const backgrounds = global?.darkModeGroup?.widgetBackgrounds || DEFAULT_WIDGET_BACKGROUNDS;
+  return backgrounds.filter(({ color, darkColor, textColor }) =>
+    isColorName(color) && isColorName(darkColor) && (!textColor || isColorName(textColor))
+  );
+}
+
+// Rules of the dark scheme, with selectors relative to its root
+function getDarkRules(global) {
+  const theme = global?.themeGroup || {};
+  const properties = {};
+  for (const name of THEME_COLORS) {
+    Object.assign(properties, getDarkColorProperties(name, theme[`${name}Color`]));
+  }
+
+  const rules = [];
+  for (const { color, darkColor, textColor } of getWidgetBackgrounds(global)) {
+    // For widgets that use the color in their inline styles
+    properties[`--scheme-background-${color}`] = getColorVar(darkColor);
+    rules.push({
+      selector: ` .has-scheme-background.has-background-${color}`,
+      properties: {
+        'background-color': `${getColorVar(darkColor)} !important`,
+        ...textColor && {
+          color: getColorVar(textColor)
+        }
+      }
+    });
+  }
+  return [
+    {
+      selector: '',
+      properties
+    },
+    ...rules
+  ];
+}
+
+function renderRule(selector, properties) {
+  const declarations = Object.entries(properties)
+    .map(([ name, value ]) => `  ${name}: ${value};`);
+  if (!declarations.length) {
+    return '';
+  }
+  return `${selector} {\n${declarations.join('\n')}\n}`;
+}
+
+function renderRules(root, rules) {
+  return rules
+    .map(({ selector, properties }) => renderRule(`${root}${selector}`, properties))
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Render the theme and dark mode settings as a style sheet. The
+ * `html:root` selector wins over the `:root` rules of Bulma and
+ * `main.scss`, and the dark scheme rules win over both
+ * @param {Object} global - The global document
+ * @returns {string} CSS, empty when no setting is changed
+ */
+export function getThemeCss(global) {
+  const css = [ renderRule('html:root', getThemeProperties(global)) ];
+  const darkRules = getDarkRules(global);
+  const systemDark = renderRules(SYSTEM_DARK_ROOT, darkRules);
+  if (systemDark) {
+    css.push(
+      `@media (prefers-color-scheme: dark) {\n${systemDark}\n}`,
+      renderRules(DARK_ROOT, darkRules)
+    );
+  }
+  return css.filter(Boolean).join('\n');
+}
+
+/**
+ * Get the color scheme settings used by the header toggle
+ * @param {Object} global - The global document
+ * @returns {Object} `defaultScheme` of `system`, `light` or `dark`, and
+ * `showToggle`
+ */
+export function getColorSchemeSettings(global) {
+  const darkMode = global?.darkModeGroup || {};
+  return {
+    defaultScheme: [ 'light', 'dark' ].includes(darkMode.defaultScheme)
+      ? darkMode.defaultScheme
+      : 'system',
+    showToggle: darkMode.showToggle !== false
+  };
+}
+
+/**
+ * Get the Google Fonts style sheet for the fonts picked in the theme
+ * settings
+ * @param {Object} global - The global document
+ * @returns {string|null} Style sheet URL, or null when only system fonts
+ * are used
+ */
+export function getThemeFontsUrl(global) {
+  const theme = global?.themeGroup || {};
+  const families = [ ...new Set([ theme.bodyFont, theme.headingFont ]) ]
+    .map(key => FONTS[key]?.google)
+    .filter(Boolean);
+  if (!families.length) {
+    return null;
+  }
+  const query = families.map(family => `family=${family}`).join('&');
+  return `https://fonts.googleapis.com/css2?${query}&display=swap`;
+}
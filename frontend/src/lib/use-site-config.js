@@ -1,6 +1,21 @@
+import { getDarkModeColors } from './theme.js';
+
 export function useSiteConfig(globalData) {
   const brandingGroup = globalData?.brandingGroup || {};
   const headerGroup = globalData?.headerGroup || {};
+  const darkColors = getDarkModeColors(globalData);
+
+  // Header colors of the dark scheme, from the dark mode settings
+  const getDarkHeaderClasses = () => {
+    const classes = [];
+    if (darkColors.headerBackgroundColor) {
+      classes.push(`has-dark-background-${darkColors.headerBackgroundColor}`);
+    }
+    if (darkColors.headerTextColor) {
+      classes.push(`has-dark-text-${darkColors.headerTextColor}`);
+    }
+    return classes;
+  };
 
   const getHeaderClasses = () => {
     const classes = ['navbar'];
@@ -29,6 +44,8 @@ export function useSiteConfig(globalData) {
       classes.push(`has-text-${headerGroup.headerTextColor}`);
     }
 
+    classes.push(...getDarkHeaderClasses());
+
     return classes.join(' ');
   };
 
@@ -51,6 +68,11 @@ export function useSiteConfig(globalData) {
       classes.push(`has-background-${headerGroup.headerBackgroundColor}`);
     }
 
+    // Active items keep their active color in the dark scheme
+    if (!isActive || !headerGroup.headerActiveColor) {
+      classes.push(...getDarkHeaderClasses());
+    }
+
     if (isActive) {
       classes.push('is-active');
       if (headerGroup.headerActiveColor) {
@@ -76,6 +98,8 @@ export function useSiteConfig(globalData) {
       classes.push(`has-background-${headerGroup.headerBackgroundColor}`);
     }
 
+    classes.push(...getDarkHeaderClasses());
+
     return classes.join(' ');
   };
 
@@ -102,8 +126,9 @@ export function useSiteConfig(globalData) {
 
     // Add text if needed
     if (displayType === 'text' || displayType === 'both') {
+      const darkText = darkColors.headerTextColor ? `has-dark-text-${darkColors.headerTextColor}` : '';
       elements.push(
-        `<span class="navbar-brand-text ${brandingGroup.siteTextSize || 'is-size-4'} has-text-${headerGroup.headerTextColor}">
+        `<span class="navbar-brand-text ${brandingGroup.siteTextSize || 'is-size-4'} has-text-${headerGroup.headerTextColor} ${darkText}">
           ${brandingGroup.siteTitle}
         </span>`
       );
@@ -114,6 +139,7 @@ export function useSiteConfig(globalData) {
 
   return {
     getHeaderClasses,
+    getDarkHeaderClasses,
     getHeaderTransparency,
     getNavItemClasses,
     getDropdownClasses,
@@ -0,0 +1,24 @@
+import { defineMiddleware } from 'astro:middleware';
+import {
+  isCacheableRequest,
+  getCacheKey,
+  getCachedPage,
+  getCachedResponse
+} from './lib/page-cache.js';
+
+// Serves pages to anonymous visitors from the page cache, with an ETag so
+// browsers revalidate with `304 Not Modified` responses. Static builds
+// have nothing to cache
+export const onRequest = defineMiddleware(async (context, next) => {
+  if (
+    context.isPrerendered ||
+    !isCacheableRequest(context.request, context.url)
+  ) {
+    return next();
+  }
+  const { entry, response, hit } = await getCachedPage(
+    getCacheKey(context.url),
+    next
+  );
+  return entry ? getCachedResponse(entry, context.request, hit) : response;
+});
@@ -0,0 +1,45 @@
+import aposResponse from '@apostrophecms/apostrophe-astro/lib/aposResponse.js';
+import { aposFetch, isStaticBuild } from '@apostrophecms/apostrophe-astro/helpers/server';
+import { getStaticExportPaths } from '../../lib/static-export.js';
+
+const formats = [ 'rss', 'atom', 'json' ];
+
+// The feeds of each article page, for static builds. Category feeds need
+// a query string, so they are only served when rendering on demand
+export async function getStaticPaths() {
+  const paths = await getStaticExportPaths();
+  return paths
+    .filter(({ props }) =>
+      props.type === 'article-page' && props.i18nId === props.aposDocId
+    )
+    .flatMap(({ params }) => formats.map(format => ({
+      params: {
+        ...params,
+        format
+      }
+    })));
+}
+
+// Serves `<article page URL>/feed.rss`, `/feed.atom` and `/feed.json`,
+// e.g. `/fr/articles/feed.rss?category=news`. Apostrophe resolves the
+// locale and page from the path and renders the feed.
+export async function GET({ params, request }) {
+  if (!formats.includes(params.format)) {
+    return new Response('Not Found', { status: 404 });
+  }
+  if (isStaticBuild()) {
+    const query = new URLSearchParams({
+      path: `/${params.slug || ''}`,
+      format: params.format
+    });
+    return aposFetch(`/api/v1/article-page/feed?${query}`);
+  }
+  const url = new URL(request.url);
+  const feedUrl = new URL('/api/v1/article-page/feed', url);
+  feedUrl.searchParams.set('path', `/${params.slug || ''}`);
+  feedUrl.searchParams.set('format', params.format);
+  if (url.searchParams.get('category')) {
+    feedUrl.searchParams.set('category', url.searchParams.get('category'));
+  }
+  return aposResponse(new Request(feedUrl, { headers: request.headers }));
+}
@@ -0,0 +1,57 @@
+import { aposFetch } from '@apostrophecms/apostrophe-astro/helpers/server';
+import { HONEYPOT, getResultUrl } from '../../../lib/forms.js';
+import { getBackendHeaders } from '../../../lib/backend-requests.js';
+
+// Posted by the form widget, as multipart form data. Submissions that
+// filled in the honeypot field are dropped, the others are forwarded to
+// the backend `form` module, which only accepts them signed by this server.
+// The form script asks for JSON. Without JavaScript the visitor is sent
+// back to the page, with the outcome in the query string
+export async function POST({ request }) {
+  let data;
+  try {
+    data = await request.formData();
+  } catch (e) {
+    return new Response('Bad Request', { status: 400 });
+  }
+  const widgetId = String(data.get('_widget') || '');
+  const page = data.get('_page');
+  const respond = (status, result) => {
+    if ((request.headers.get('accept') || '').includes('application/json')) {
+      return Response.json(result, { status });
+    }
+    return Response.redirect(getResultUrl(page, widgetId, result, request.url), 303);
+  };
+
+  // Bots are told it worked, so they don't try again
+  if (data.get(HONEYPOT)) {
+    return respond(200, {});
+  }
+  data.delete(HONEYPOT);
+  data.delete('_widget');
+
+  let response;
+  try {
+    response = await aposFetch('/api/v1/form/submit', {
+      method: 'POST',
+      body: data,
+      headers: getBackendHeaders()
+    });
+  } catch (e) {
+    console.warn(`Form submission: the backend could not be reached (${e.message})`);
+    return respond(502, {
+      message: 'The form could not be sent, please try again later.',
+      errors: {}
+    });
+  }
+  const result = await response.json().catch(() => ({}));
+  if (response.ok) {
+    return respond(200, { message: result.message });
+  }
+  return respond(response.status === 400 ? 400 : 502, {
+    message: response.status === 400
+      ? result.message
+      : 'The form could not be sent, please try again later.',
+    errors: result.data?.errors || {}
+  });
+}
@@ -0,0 +1,67 @@
+import { aposFetch } from '@apostrophecms/apostrophe-astro/helpers/server';
+import { getBackendHeaders } from '../../../lib/backend-requests.js';
+import { HONEYPOT } from '../../../lib/forms.js';
+import { getNewsletterResultUrl } from '../../../lib/newsletter.js';
+
+// Posted by the newsletter signup form. Signups that filled in the
+// honeypot field are dropped, the others are forwarded to the backend
+// `subscriber` module, which only accepts them signed by this server and
+// emails the confirmation link. The form script asks for JSON, with the
+// message to show in the locale of the page.
+// Without JavaScript the visitor is sent back to the page, where the
+// backend adds the notice of the `newsletter` query parameter
+export async function POST({ request }) {
+  let data;
+  try {
+    data = await request.formData();
+  } catch (e) {
+    return new Response('Bad Request', { status: 400 });
+  }
+  const page = data.get('_page');
+  const respond = (status, result) => {
+    if ((request.headers.get('accept') || '').includes('application/json')) {
+      return Response.json(result, { status });
+    }
+    return Response.redirect(
+      getNewsletterResultUrl(page, result.status, request.url),
+      303
+    );
+  };
+
+  // Bots are told it worked, so they don't try again
+  if (data.get(HONEYPOT)) {
+    return respond(200, { status: 'pending' });
+  }
+
+  let response;
+  try {
+    response = await aposFetch('/api/v1/subscriber/subscribe', {
+      method: 'POST',
+      body: JSON.stringify({
+        email: data.get('email'),
+        _page: page
+      }),
+      headers: {
+        'content-type': 'application/json',
+        ...getBackendHeaders()
+      }
+    });
+  } catch (e) {
+    console.warn(`Newsletter signup: the backend could not be reached (${e.message})`);
+    return respond(502, { status: 'error' });
+  }
+  const result = await response.json().catch(() => ({}));
+  if (response.ok) {
+    return respond(200, {
+      status: 'pending',
+      message: result.message
+    });
+  }
+  if (response.status === 400) {
+    return respond(400, {
+      status: 'invalidEmail',
+      message: result.message
+    });
+  }
+  return respond(502, { status: 'error' });
+}
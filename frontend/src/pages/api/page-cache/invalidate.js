@@ -0,0 +1,22 @@
+import { timingSafeEqual } from 'node:crypto';
+import { clearPageCache } from '../../../lib/page-cache.js';
+
+// Called by the backend `page-cache` module when content is published or
+// unpublished. Authenticated with the `APOS_EXTERNAL_FRONT_KEY` shared by
+// the frontend and the backend
+export async function POST({ request }) {
+  if (!isAuthorized(request.headers.get('apos-external-front-key'))) {
+    return new Response('Forbidden', { status: 403 });
+  }
+  return Response.json({ cleared: clearPageCache() });
+}
+
+function isAuthorized(key) {
+  const expected = process.env.APOS_EXTERNAL_FRONT_KEY;
+  if (!key || !expected) {
+    return false;
+  }
+  const a = Buffer.from(key);
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
@@ -0,0 +1,68 @@
+// Also read by the inline script of `ThemeStyles.astro`, which applies the
+// saved scheme before the page is painted
+const STORAGE_KEY = 'color-scheme';
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+
+/**
+ * Get the color scheme shown on the page: the one picked with the toggle
+ * or the default of the dark mode settings, otherwise the system preference
+ * @returns {string} `light` or `dark`
+ */
+export function getColorScheme() {
+  const { theme } = document.documentElement.dataset;
+  if (theme === 'light' || theme === 'dark') {
+    return theme;
+  }
+  return window.matchMedia(DARK_QUERY).matches ? 'dark' : 'light';
+}
+
+/**
+ * Show a color scheme and remember it for later visits
+ * @param {string} scheme - `light` or `dark`
+ */
+export function setColorScheme(scheme) {
+  document.documentElement.dataset.theme = scheme;
+  try {
+    localStorage.setItem(STORAGE_KEY, scheme);
+  } catch (error) {
+    // Storage is blocked, the scheme applies to this page only
+  }
+}
+
+/**
+ * Controls the buttons that switch between the light and dark color
+ * schemes. Call `destroy` before creating a new toggle for a refreshed
+ * header
+ */
+export class ColorSchemeToggle {
+  constructor(root) {
+    this.buttons = [ ...root.querySelectorAll('[data-color-scheme-toggle]') ];
+    this.system = window.matchMedia(DARK_QUERY);
+    this.listeners = new AbortController();
+    this.init();
+  }
+
+  init() {
+    const { signal } = this.listeners;
+    this.buttons.forEach((button) => {
+      button.addEventListener('click', () => {
+        setColorScheme(getColorScheme() === 'dark' ? 'light' : 'dark');
+        this.update();
+      }, { signal });
+    });
+    // The system preference applies until a scheme is picked
+    this.system.addEventListener('change', () => this.update(), { signal });
+    this.update();
+  }
+
+  update() {
+    const dark = getColorScheme() === 'dark';
+    this.buttons.forEach((button) => {
+      button.setAttribute('aria-pressed', String(dark));
+    });
+  }
+
+  destroy() {
+    this.listeners.abort();
+  }
+}
@@ -0,0 +1,234 @@
+// Matches Bulma's navbar breakpoint, below which the menu collapses
+// behind the burger
+const DESKTOP_QUERY = '(min-width: 1024px)';
+
+const FOCUSABLE = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])'
+].join(',');
+
+/**
+ * Controls the header navigation: the mobile menu opened by the burger,
+ * which traps focus while open and closes with Escape, the expandable
+ * submenus of the mobile menu, and keyboard support for the desktop
+ * dropdowns. Call `destroy` before creating a new controller for a
+ * refreshed header
+ */
+export class NavigationController {
+  constructor(header) {
+    this.header = header;
+    this.burger = header.querySelector('.navbar-burger');
+    this.menu = this.burger && document.getElementById(this.burger.dataset.target);
+    this.dropdowns = [ ...header.querySelectorAll('[data-nav-dropdown]') ];
+    this.desktop = window.matchMedia(DESKTOP_QUERY);
+    // Removes every listener added by this controller at once
+    this.listeners = new AbortController();
+    this.init();
+  }
+
+  init() {
+    const { signal } = this.listeners;
+
+    if (this.burger && this.menu) {
+      this.burger.addEventListener('click', () => this.toggleMenu(), { signal });
+      document.addEventListener('keydown', (event) => this.onMenuKeydown(event), { signal });
+      document.addEventListener('click', (event) => {
+        if (this.isMenuOpen() && !this.header.contains(event.target)) {
+          this.closeMenu();
+        }
+      }, { signal });
+    }
+
+    this.desktop.addEventListener('change', () => {
+      this.closeMenu();
+      this.dropdowns.forEach((dropdown) => this.setSubmenu(dropdown, false));
+    }, { signal });
+
+    this.dropdowns.forEach((dropdown) => this.setupDropdown(dropdown));
+  }
+
+  isMenuOpen() {
+    return this.burger?.getAttribute('aria-expanded') === 'true';
+  }
+
+  toggleMenu() {
+    if (this.isMenuOpen()) {
+      this.closeMenu();
+    } else {
+      this.openMenu();
+    }
+  }
+
+  openMenu() {
+    this.setMenu(true);
+    this.getMenuFocusable()[0]?.focus();
+  }
+
+  closeMenu({ returnFocus = false } = {}) {
+    if (!this.isMenuOpen()) return;
+    this.setMenu(false);
+    if (returnFocus) {
+      this.burger.focus();
+    }
+  }
+
+  setMenu(open) {
+    this.burger.classList.toggle('is-active', open);
+    this.menu.classList.toggle('is-active', open);
+    this.burger.setAttribute('aria-expanded', String(open));
+    this.burger.setAttribute('aria-label', open ? 'Close menu' : 'Open menu');
+  }
+
+  // Visible links and buttons in the open menu. Links in collapsed
+  // submenus are skipped
+  getMenuFocusable() {
+    return [ ...this.menu.querySelectorAll(FOCUSABLE) ]
+      .filter((element) => element.getClientRects().length > 0);
+  }
+
+  onMenuKeydown(event) {
+    if (!this.isMenuOpen()) return;
+
+    if (event.key === 'Escape') {
+      this.closeMenu({ returnFocus: true });
+      return;
+    }
+    if (event.key !== 'Tab') return;
+
+    // Keep focus on the burger and the menu items while the menu is open
+    const focusable = [ this.burger, ...this.getMenuFocusable() ];
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (!focusable.includes(document.activeElement)) {
+      event.preventDefault();
+      first.focus();
+    } else if (event.shiftKey && document.activeElement === first) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+      event.preventDefault();
+      first.focus();
+    }
+  }
+
+  // Mobile submenus are collapsed until their toggle is pressed
+  setSubmenu(dropdown, expanded) {
+    dropdown.classList.toggle('is-expanded', expanded);
+    dropdown.querySelector('[data-nav-submenu-toggle]')
+      ?.setAttribute('aria-expanded', String(expanded));
+    const trigger = dropdown.querySelector('[data-nav-trigger]');
+    if (trigger?.tagName === 'BUTTON') {
+      trigger.setAttribute('aria-expanded', String(expanded));
+    }
+  }
+
+  // Desktop dropdowns open on hover and focus through Bulma's
+  // `is-hoverable`. Keep `aria-expanded` in sync, let ArrowDown move
+  // into a dropdown and Escape close it
+  setupDropdown(dropdown) {
+    const { signal } = this.listeners;
+    const trigger = dropdown.querySelector('[data-nav-trigger]');
+    const toggle = dropdown.querySelector('[data-nav-submenu-toggle]');
+    if (!trigger) return;
+
+    const getLinks = () => [ ...dropdown.querySelectorAll('.navbar-dropdown a') ];
+    const setExpanded = (expanded) => {
+      if (this.desktop.matches) {
+        trigger.setAttribute('aria-expanded', String(expanded));
+      }
+    };
+    const open = () => {
+      dropdown.classList.remove('is-dismissed');
+      setExpanded(true);
+    };
+    const close = () => {
+      dropdown.classList.add('is-dismissed');
+      dropdown.classList.remove('is-active');
+      setExpanded(false);
+    };
+
+    dropdown.addEventListener('mouseenter', open, { signal });
+    dropdown.addEventListener('mouseleave', () => {
+      if (!dropdown.contains(document.activeElement)) {
+        setExpanded(false);
+      }
+    }, { signal });
+    dropdown.addEventListener('focusin', () => {
+      if (!dropdown.classList.contains('is-dismissed')) {
+        setExpanded(true);
+      }
+    }, { signal });
+    dropdown.addEventListener('focusout', (event) => {
+      if (!dropdown.contains(event.relatedTarget)) {
+        dropdown.classList.remove('is-dismissed', 'is-active');
+        setExpanded(false);
+      }
+    }, { signal });
+
+    toggle?.addEventListener('click', () => {
+      this.setSubmenu(dropdown, !dropdown.classList.contains('is-expanded'));
+    }, { signal });
+
+    // Groups without a link toggle their dropdown when clicked
+    if (trigger.tagName === 'BUTTON') {
+      trigger.addEventListener('click', () => {
+        if (!this.desktop.matches) {
+          this.setSubmenu(dropdown, !dropdown.classList.contains('is-expanded'));
+        } else if (trigger.getAttribute('aria-expanded') === 'true') {
+          close();
+        } else {
+          open();
+          dropdown.classList.add('is-active');
+        }
+      }, { signal });
+    }
+
+    dropdown.addEventListener('keydown', (event) => {
+      if (!this.desktop.matches) return;
+      const links = getLinks();
+      const index = links.indexOf(document.activeElement);
+      if (event.key === 'Escape') {
+        close();
+        trigger.focus();
+      } else if (event.key === 'ArrowDown') {
+        event.preventDefault();
+        open();
+        links[Math.min(index + 1, links.length - 1)]?.focus();
+      } else if (event.key === 'ArrowUp' && index !== -1) {
+        event.preventDefault();
+        (index > 0 ? links[index - 1] : trigger).focus();
+      }
+    }, { signal });
+  }
+
+  destroy() {
+    this.listeners.abort();
+  }
+}
+
+/**
+ * Call `callback` after every ApostropheCMS refresh in edit mode, once the
+ * admin UI has loaded. Gives up after five seconds for logged-out visitors
+ * @param {Function} callback - Called after each refresh
+ */
+export function onAposRefreshed(callback) {
+  const listen = () => apos.bus.$on('refreshed', callback);
+  if (window.apos) {
+    listen();
+    return;
+  }
+  let attempts = 0;
+  const waitForApos = setInterval(() => {
+    attempts++;
+    if (window.apos) {
+      clearInterval(waitForApos);
+      listen();
+    } else if (attempts >= 50) {
+      clearInterval(waitForApos);
+    }
+  }, 100);
+}
@@ -2,12 +2,16 @@ import HomePage from './HomePage.astro';
 import DefaultPage from './DefaultPage.astro';
 import ArticleIndexPage from './ArticleIndexPage.astro';
 import ArticleShowPage from './ArticleShowPage.astro';
+import AuthorIndexPage from './AuthorIndexPage.astro';
+import AuthorShowPage from './AuthorShowPage.astro';
 
 const templateComponents = {
   '@apostrophecms/home-page': HomePage,
   'default-page': DefaultPage,
   'article-page:index': ArticleIndexPage,
-  'article-page:show': ArticleShowPage
+  'article-page:show': ArticleShowPage,
+  'author-page:index': AuthorIndexPage,
+  'author-page:show': AuthorShowPage
 };
 
 export default templateComponents;
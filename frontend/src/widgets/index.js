@@ -7,6 +7,8 @@ import CardWidget from './CardWidget.astro';
 import HeroWidget from './HeroWidget.astro';
 import LinkWidget from './LinkWidget.astro';
 import SlideshowWidget from './SlideshowWidget.astro';
+import FormWidget from './FormWidget.astro';
+import NewsletterWidget from './NewsletterWidget.astro';
 import LayoutWidget from '@apostrophecms/apostrophe-astro/widgets/LayoutWidget.astro';
 import LayoutColumnWidget from '@apostrophecms/apostrophe-astro/widgets/LayoutColumnWidget.astro';
 
@@ -20,6 +22,8 @@ const widgetComponents = {
   'hero': HeroWidget,
   'link': LinkWidget,
   'slideshow': SlideshowWidget,
+  'form': FormWidget,
+  'newsletter': NewsletterWidget,
   '@apostrophecms/layout': LayoutWidget,
   '@apostrophecms/layout-column': LayoutColumnWidget
 };